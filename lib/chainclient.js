@@ -177,6 +177,17 @@ class ChainClient extends AsyncEmitter {
     return tx;
   }
 
+  /**
+   * Get an unspent coin.
+   * @param {Hash} hash
+   * @param {Number} index
+   * @returns {Promise} - Returns {@link Coin}.
+   */
+
+  async getCoin(hash, index) {
+    return this.chain.getCoin(hash, index);
+  }
+
   /**
    * Get previous entry.
    * @param {ChainEntry} entry
@@ -218,7 +229,7 @@ class ChainClient extends AsyncEmitter {
     for (const entry of cbSpent.map) {
       for (const mapEntry of entry[1].outputs) {
         const coins = view.ensure(entry[0]);
-        coins.addOutput(mapEntry[0], mapEntry[1].output);
+        coins.add(mapEntry[0], mapEntry[1]);
       }
     }
 
@@ -230,7 +241,7 @@ class ChainClient extends AsyncEmitter {
       for (const entry of spent.map) {
         for (const mapEntry of entry[1].outputs) {
           const coins = view.ensure(entry[0]);
-          coins.addOutput(mapEntry[0], mapEntry[1].output);
+          coins.add(mapEntry[0], mapEntry[1]);
         }
       }
     }
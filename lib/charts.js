@@ -0,0 +1,291 @@
+/*!
+ * charts.js - chart metrics and resolutions for hnscan
+ * Copyright (c) 2018-2019, Handshake Alliance Developers (MIT License).
+ * https://github.com/handshakealliance/hnscan-backend
+ */
+
+"use strict";
+
+const util = require("./util.js");
+const { types } = require("hsd/lib/covenants/rules");
+
+/**
+ * @exports charts
+ */
+
+const charts = exports;
+
+const HOUR = 60 * 60;
+const DAY = 24 * HOUR;
+
+/**
+ * Chart metrics, in the order their values are stored. Each value is
+ * read from a block context of {entry, block, view, state, prev}.
+ * `aggregate` is the default aggregation used for buckets,
+ * `amount` metrics are stored in dollarydoos and served in coins,
+ * `ratio` metrics are not stored and divide the sums of two others.
+ */
+
+charts.metrics = [
+  {
+    name: "difficulty",
+    aggregate: "avg",
+    fromBlock: ({ entry }) => util.toDifficulty(entry.bits)
+  },
+  {
+    name: "transactions",
+    aggregate: "sum",
+    fromBlock: ({ block }) => block.txs.length
+  },
+  {
+    name: "totalTransactions",
+    aggregate: "last",
+    fromBlock: ({ state }) => state.tx
+  },
+  {
+    name: "supply",
+    aggregate: "last",
+    amount: true,
+    fromBlock: ({ state }) => state.value
+  },
+  {
+    name: "burned",
+    aggregate: "last",
+    amount: true,
+    fromBlock: ({ state }) => state.burned
+  },
+  {
+    name: "fees",
+    aggregate: "sum",
+    amount: true,
+    fromBlock: ctx => getFeeRates(ctx).fees
+  },
+  {
+    name: "feeRateMedian",
+    aggregate: "avg",
+    fromBlock: ctx => percentile(getFeeRates(ctx).rates, 0.5)
+  },
+  {
+    name: "feeRate10",
+    aggregate: "avg",
+    fromBlock: ctx => percentile(getFeeRates(ctx).rates, 0.1)
+  },
+  {
+    name: "feeRate90",
+    aggregate: "avg",
+    fromBlock: ctx => percentile(getFeeRates(ctx).rates, 0.9)
+  },
+  {
+    name: "size",
+    aggregate: "avg",
+    fromBlock: ({ block }) => block.getSize()
+  },
+  {
+    name: "weight",
+    aggregate: "avg",
+    fromBlock: ({ block }) => block.getWeight()
+  },
+  {
+    name: "interval",
+    aggregate: "avg",
+    fromBlock: ({ entry, prev }) => (prev ? entry.time - prev.time : 0)
+  },
+  {
+    name: "work",
+    aggregate: "sum",
+    fromBlock: ({ entry, prev }) => {
+      if (!prev) return 0;
+      return Number(entry.chainwork.sub(prev.chainwork).toString());
+    }
+  },
+  //Work in the bucket over the summed block intervals. HTTP.getHashRate
+  //instead divides by the min/max time span of a window of blocks.
+  {
+    name: "hashrate",
+    ratio: ["work", "interval"]
+  },
+  covenantMetric("opens", types.OPEN),
+  covenantMetric("bids", types.BID),
+  covenantMetric("reveals", types.REVEAL),
+  covenantMetric("registers", types.REGISTER),
+  covenantMetric("updates", types.UPDATE),
+  covenantMetric("renewals", types.RENEW),
+  covenantMetric("transfers", types.TRANSFER),
+  covenantMetric("revokes", types.REVOKE),
+  //Lockups of new bids, blinds included.
+  {
+    name: "bidValue",
+    aggregate: "sum",
+    amount: true,
+    fromBlock: ctx => getCovenantStats(ctx).value[types.BID]
+  },
+  {
+    name: "registerBurned",
+    aggregate: "sum",
+    amount: true,
+    fromBlock: ctx => getCovenantStats(ctx).value[types.REGISTER]
+  }
+];
+
+/**
+ * Names of the original daily chart routes.
+ */
+
+charts.aliases = {
+  dailyTransactions: "transactions",
+  dailyTotalTransactions: "totalTransactions"
+};
+
+/**
+ * Get the total fees and sorted fee rates (per kB) of a block's
+ * transactions, cached on the block context.
+ * @param {Object} ctx
+ * @returns {Object}
+ */
+
+function getFeeRates(ctx) {
+  if (ctx.feeRates) return ctx.feeRates;
+
+  const { block, view } = ctx;
+  const rates = [];
+
+  let fees = 0;
+
+  for (const tx of block.txs) {
+    if (tx.isCoinbase()) continue;
+
+    fees += tx.getFee(view);
+    rates.push(tx.getRate(view));
+  }
+
+  rates.sort((a, b) => a - b);
+
+  ctx.feeRates = { fees, rates };
+
+  return ctx.feeRates;
+}
+
+/**
+ * Count the covenant outputs of a block by type and total their
+ * values, cached on the block context.
+ * @param {Object} ctx
+ * @returns {Object}
+ */
+
+function getCovenantStats(ctx) {
+  if (ctx.covenants) return ctx.covenants;
+
+  const count = {};
+  const value = {};
+
+  for (const type of Object.values(types)) {
+    count[type] = 0;
+    value[type] = 0;
+  }
+
+  for (const tx of ctx.block.txs) {
+    for (const { covenant, value: amount } of tx.outputs) {
+      count[covenant.type] += 1;
+      value[covenant.type] += amount;
+    }
+  }
+
+  ctx.covenants = { count, value };
+
+  return ctx.covenants;
+}
+
+/**
+ * Create a metric counting a block's covenants of a type.
+ * @param {String} name
+ * @param {Number} type
+ * @returns {Object}
+ */
+
+function covenantMetric(name, type) {
+  return {
+    name,
+    aggregate: "sum",
+    fromBlock: ctx => getCovenantStats(ctx).count[type]
+  };
+}
+
+/**
+ * Nearest-rank percentile of sorted values.
+ * @param {Number[]} values
+ * @param {Number} p
+ * @returns {Number}
+ */
+
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+
+  const rank = Math.ceil(p * values.length) - 1;
+
+  return values[Math.max(0, rank)];
+}
+
+charts.resolutions = ["block", "hour", "day", "week", "month"];
+
+charts.aggregates = ["avg", "sum", "min", "max", "last"];
+
+/**
+ * Get a metric and its value index by name. Ratio metrics
+ * get the value indexes of their numerator and denominator.
+ * @param {String} name
+ * @returns {Object|null}
+ */
+
+charts.getMetric = function getMetric(name) {
+  if (charts.aliases[name]) name = charts.aliases[name];
+
+  const metric = charts.metrics.find(metric => metric.name === name);
+
+  if (!metric) return null;
+
+  if (metric.ratio) {
+    const ratio = metric.ratio.map(name => charts.getMetric(name).index);
+    return Object.assign({}, metric, { ratio });
+  }
+
+  return Object.assign({ index: charts.stored.indexOf(metric) }, metric);
+};
+
+/**
+ * Stored metrics, in the order of a point's values.
+ * Ratio metrics are computed when served.
+ */
+
+charts.stored = charts.metrics.filter(metric => !metric.ratio);
+
+/**
+ * Get the start of the UTC bucket a timestamp falls in.
+ * Weeks start on Monday.
+ * @param {Number} time
+ * @param {String} resolution
+ * @returns {Number}
+ */
+
+charts.getBucket = function getBucket(time, resolution) {
+  switch (resolution) {
+    case "hour":
+      return time - (time % HOUR);
+    case "day":
+      return time - (time % DAY);
+    case "week": {
+      const day = time - (time % DAY);
+      //The epoch was a Thursday.
+      const weekday = (day / DAY + 3) % 7;
+      return day - weekday * DAY;
+    }
+    case "month": {
+      const date = new Date(time * 1000);
+      return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1) / 1000;
+    }
+    default:
+      return time;
+  }
+};
+
+charts.HOUR = HOUR;
+charts.DAY = DAY;
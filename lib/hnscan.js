@@ -11,6 +11,7 @@ const EventEmitter = require("events");
 const path = require("path");
 const { Network, Address, Covenant, Script, Coin } = require("hsd");
 const consensus = require("hsd/lib/protocol/consensus");
+const policy = require("hsd/lib/protocol/policy");
 const Logger = require("blgr");
 const assert = require("bsert");
 const bdb = require("bdb");
@@ -19,8 +20,23 @@ const { Lock } = require("bmutex");
 const bio = require("bufio");
 const blake2b = require("bcrypto/lib/blake2b");
 const rules = require("hsd/lib/covenants/rules");
+const { Resource } = require("hsd/lib/dns/resource");
 const geoip = require("geoip-lite");
 const util = require("./util");
+const charts = require("./charts");
+const search = require("./search");
+const pagination = require("./pagination");
+const {
+  ChartData,
+  WatchRecord,
+  nameKinds,
+  nameEventsByVal,
+  watchTypes
+} = require("./types");
+const Amount = require("hsd/lib/ui/amount");
+
+//Starting size of mempool histogram buckets, in virtual bytes.
+const mempoolBinSize = 100000;
 
 /**
  * Hnscan
@@ -45,89 +61,230 @@ class Hnscan extends EventEmitter {
     this.chain = this.options.chain;
     this.hdb = this.options.hdb;
     this.node = this.options.node;
-
-    this.nameCount = 0;
-    this.nameCountBlock = 0;
   }
 
-  //Calls all of the resource heavy API calls, to cache them for faster response times.
-  //@todo make sure to add this to unindex block when that is implemented.
-  async memorize(height) {
-    this.logger.info("HNScan memorizing values...");
-    await this.getNameCount(height);
-  }
+  /**
+   * Get a page of blocks, newest first.
+   * @param {Object?} cursor - Decoded cursor, keyed on height.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
 
-  async getNameCount(height) {
-    if (height === this.nameCountBlock) {
-      return this.nameCount;
-    }
+  async getBlocks(cursor, limit = 25) {
+    const tip = this.chain.height;
 
-    let txn = this.chain.db.txn;
+    const fetch = async (key, reverse, limit) => {
+      const heights = [];
 
-    let iter = txn.iterator();
-    let nameCount = 0;
-    while (await iter.next()) {
-      const { key, value } = iter;
-      nameCount++;
-    }
+      if (reverse) {
+        for (let h = key.readUInt32BE(0) + 1; h <= tip; h++) {
+          if (heights.length === limit) break;
+          heights.push(h);
+        }
+      } else {
+        const start = key ? key.readUInt32BE(0) - 1 : tip;
 
-    this.nameCount = nameCount;
-    this.nameCountBlock = height;
+        for (let h = Math.min(start, tip); h >= 0; h--) {
+          if (heights.length === limit) break;
+          heights.push(h);
+        }
+      }
 
-    return this.nameCount;
+      return heights;
+    };
+
+    const page = await pagination.getPage(
+      fetch,
+      height => pagination.toKey(height),
+      cursor,
+      limit,
+      4
+    );
+
+    const result = [];
+
+    for (const height of page.items) result.push(await this.getBlock(height));
+
+    return { total: tip + 1, next: page.next, prev: page.prev, result };
   }
 
-  async getTransactions(limit = 25) {
-    let txs = [];
+  /**
+   * Get a page of the latest transactions, newest first.
+   * @param {Object?} cursor - Decoded cursor, keyed on height and position.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
 
-    for (let i = this.chain.height; i > -1; i--) {
-      const block = await this.chain.getBlock(i);
-      const entry = await this.chain.getEntryByHeight(i);
+  async getTransactions(cursor, limit = 25) {
+    const tip = this.chain.height;
 
-      for (let tx of block.txs) {
-        let json = await this.getTransaction(tx.hash());
+    const fetch = async (key, reverse, limit) => {
+      const items = [];
 
-        txs.push(json);
+      let height = key ? key.readUInt32BE(0) : tip;
+      let index = key ? key.readUInt32BE(4) : -1;
 
-        if (txs.length === limit) {
-          return txs;
+      if (!reverse && height > tip) {
+        height = tip;
+        index = -1;
+      }
+
+      while (items.length < limit && height >= 0 && height <= tip) {
+        const block = await this.chain.getBlock(height);
+        const txs = block.txs;
+
+        if (reverse) {
+          for (let i = index + 1; i < txs.length; i++) {
+            if (items.length === limit) break;
+            items.push({ height, index: i, tx: txs[i] });
+          }
+
+          height++;
+        } else {
+          const start = index === -1 ? txs.length - 1 : index - 1;
+
+          for (let i = start; i >= 0; i--) {
+            if (items.length === limit) break;
+            items.push({ height, index: i, tx: txs[i] });
+          }
+
+          height--;
         }
+
+        index = -1;
       }
-    }
+
+      return items;
+    };
+
+    const page = await pagination.getPage(
+      fetch,
+      ({ height, index }) => pagination.toKey(height, index),
+      cursor,
+      limit,
+      8
+    );
+
+    const result = [];
+
+    for (const { tx } of page.items)
+      result.push(await this.getTransaction(tx.hash()));
+
+    return {
+      total: this.chain.db.state.tx,
+      next: page.next,
+      prev: page.prev,
+      result
+    };
   }
 
-  //@todo make this standard for all list APIs, return [data, total]
-  async getTransactionsByHeight(height, offset = 0, limit = 25) {
+  /**
+   * Get a page of the transactions of a block, in block order.
+   * @param {Number} height
+   * @param {Object?} cursor - Decoded cursor, keyed on height and position.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}, or null if
+   * there is no block at the height.
+   */
+
+  async getTransactionsByHeight(height, cursor, limit = 25) {
     const block = await this.chain.getBlock(height);
-    const entry = await this.chain.getEntryByHeight(height);
-    let txs = [];
 
-    let list = block.txs.slice(offset, offset + limit);
+    if (!block) return null;
 
-    for (const tx of list) {
-      const json = await this.getTransaction(tx.hash());
-      txs.push(json);
-    }
+    const fetch = pagination.fromList(
+      block.txs.map((tx, index) => index),
+      index => pagination.toKey(height, index)
+    );
+
+    const page = await pagination.getPage(
+      fetch,
+      index => pagination.toKey(height, index),
+      cursor,
+      limit,
+      8
+    );
+
+    const result = [];
 
-    return [txs, block.txs.length];
+    for (const index of page.items)
+      result.push(await this.getTransaction(block.txs[index].hash()));
+
+    return {
+      total: block.txs.length,
+      next: page.next,
+      prev: page.prev,
+      result
+    };
   }
 
-  //Expects a Address object NOT a hash or string
-  async getTransactionsByAddress(addr, offset = 0, limit = 25) {
-    //@todo this may be pretty slow as we increase the # of transactions for users. See what we acn do about this.
-    //That said, the transaction numbers we are seeing on the testnet are probably pretty unrealistic.
-    const raw = await this.hdb.addressHistory(addr);
+  /**
+   * Get a page of the confirmed transactions of an address, newest first.
+   * @param {Address} addr
+   * @param {Object?} cursor - Decoded cursor, keyed on height and position.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}, with
+   * [{tx_hash, height, index}].
+   */
 
-    const list = raw.slice(offset, offset + limit);
+  async getAddressHistory(addr, cursor, limit = 25) {
+    const record = await this.hdb.getAddressRecord(addr.getHash());
+
+    return getHistoryPage(
+      (key, reverse, limit) =>
+        this.hdb.addressHistory(addr, key, reverse, limit),
+      record ? record.txs : 0,
+      cursor,
+      limit
+    );
+  }
+
+  //Expects a Address object NOT a hash or string
+  async getTransactionsByAddress(addr, cursor, limit = 25) {
+    const page = await this.getAddressHistory(addr, cursor, limit);
 
     let txs = [];
 
-    for (let i = 0; i < list.length; i++) {
-      let tx = await this.getTransaction(Buffer.from(list[i].tx_hash, "hex"));
+    for (const { tx_hash } of page.result) {
+      let tx = await this.getTransaction(Buffer.from(tx_hash, "hex"));
       txs.push(tx);
     }
 
-    return [txs, raw.length];
+    page.result = txs;
+
+    return page;
+  }
+
+  /**
+   * Get the unconfirmed transactions of an address.
+   * @param {Address} addr
+   * @returns {Promise} - Returns {received, sent, incoming, outgoing}.
+   */
+
+  async getAddressMempool(addr) {
+    const incoming = [];
+    const outgoing = [];
+    let received = 0;
+    let sent = 0;
+
+    for (const item of this.hdb.addressMempool(addr)) {
+      const json = await this.getTransaction(item.tx.hash());
+
+      //Removed from the mempool since it was listed.
+      if (!json) continue;
+
+      json.received = item.received;
+      json.sent = item.sent;
+      json.time = item.time;
+
+      received += item.received;
+      sent += item.sent;
+
+      if (item.sent > 0) outgoing.push(json);
+      else incoming.push(json);
+    }
+
+    return { received, sent, incoming, outgoing };
   }
 
   async getAddress(addr) {
@@ -138,6 +295,96 @@ class Hnscan extends EventEmitter {
     return address;
   }
 
+  /**
+   * Get a page of the richest addresses.
+   * @param {Object?} cursor - Decoded cursor, keyed on balance and address.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}, with
+   * [{rank, address, balance, share, lastSeen}].
+   */
+
+  async getRichList(cursor, limit = 25) {
+    const supply = this.hdb.state.value;
+
+    const getKey = ({ hash, balance }) =>
+      pagination.toKey(...util.splitU64(balance), hash);
+
+    //Address hashes are 20 or 32 bytes.
+    const page = await pagination.getPage(
+      (key, reverse, limit) => this.hdb.getRichList(key, reverse, limit),
+      getKey,
+      cursor,
+      limit,
+      [28, 40]
+    );
+
+    const total = this.hdb.state.addresses;
+    const result = [];
+
+    if (page.items.length === 0)
+      return { total, next: null, prev: null, result };
+
+    //Ranks are counted from the top, balances change too often to keep them.
+    const above = await this.hdb.countRichList(getKey(page.items[0]));
+
+    for (let i = 0; i < page.items.length; i++) {
+      const { hash, balance } = page.items[i];
+      const record = await this.hdb.getAddressRecord(hash);
+      const addr = Address.fromHash(hash);
+
+      result.push({
+        rank: above + i + 1,
+        address: addr.toString(this.network.type),
+        balance,
+        share: supply > 0 ? balance / supply : 0,
+        lastSeen: record ? record.lastSeen : -1
+      });
+    }
+
+    return { total, next: page.next, prev: page.prev, result };
+  }
+
+  /**
+   * Get a page of the unspent outputs of an address, newest first.
+   * @param {Address} addr
+   * @param {Object?} cursor - Decoded cursor, keyed on height and outpoint.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
+
+  async getAddressUnspent(addr, cursor, limit = 25) {
+    const height = this.chain.height;
+    const record = await this.hdb.getAddressRecord(addr.getHash());
+
+    const page = await pagination.getPage(
+      (key, reverse, limit) =>
+        this.hdb.addressUnspent(addr, key, reverse, limit),
+      ({ height, tx_hash, tx_pos }) =>
+        pagination.toKey(height, Buffer.from(tx_hash, "hex"), tx_pos),
+      cursor,
+      limit,
+      40
+    );
+
+    const result = page.items.map(u => ({
+      txid: u.tx_hash,
+      index: u.tx_pos,
+      value: u.value,
+      height: u.height,
+      covenant: rules.typesByVal[u.covenant],
+      coinbase: u.coinbase,
+      mature:
+        !u.coinbase || height + 1 - u.height >= this.network.coinbaseMaturity
+    }));
+
+    return {
+      total: record ? record.utxos : 0,
+      next: page.next,
+      prev: page.prev,
+      result
+    };
+  }
+
   async getBlock(height, details = true) {
     const block = await this.chain.getBlock(height);
 
@@ -263,9 +510,16 @@ class Hnscan extends EventEmitter {
         address: output.address,
         value: undefined,
         name: undefined,
-        nameHash: undefined
+        nameHash: undefined,
+        spent: null
       };
 
+      const spent = await this.hdb.getSpent(meta.tx.hash(), i);
+
+      if (spent) {
+        json.spent = spent.toJSON();
+      }
+
       switch (json.action) {
         case "NONE":
           json.value = output.value;
@@ -289,30 +543,613 @@ class Hnscan extends EventEmitter {
           json.value = output.value;
           break;
 
-        case "REDEEM":
-          break;
+        case "REDEEM":
+          break;
+
+        // case "REGISTER":
+      }
+
+      if (json.action != "NONE") {
+        json.nameHash = output.covenant.items[0];
+        if (!json.name) {
+          const ns = await this.chain.db.getNameState(
+            Buffer.from(json.nameHash, "hex")
+          );
+          if (ns) {
+            json.name = ns.name.toString("binary");
+          }
+        }
+      }
+      outputs.push(json);
+    }
+
+    tx.inputs = inputs;
+    tx.outputs = outputs;
+
+    return tx;
+  }
+
+  /**
+   * Get the mempool's entries, highest fee rate first.
+   * @returns {MempoolEntry[]}
+   */
+
+  getMempoolEntries() {
+    const mempool = this.node.mempool;
+
+    if (!mempool) return [];
+
+    const entries = [...mempool.map.values()];
+
+    return entries.sort((a, b) => {
+      const rate = b.getRate() - a.getRate();
+
+      if (rate !== 0) return rate;
+
+      return a.time - b.time || a.hash().compare(b.hash());
+    });
+  }
+
+  /**
+   * Get a page of pending transactions, highest fee rate first.
+   * @param {Object?} cursor - Decoded cursor, keyed on rate, time and hash.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
+
+  async getMempool(cursor, limit = 25) {
+    const entries = this.getMempoolEntries();
+
+    //Rates are inverted so the highest sorts first.
+    const getKey = entry =>
+      pagination.toKey(
+        ...util.splitU64(Number.MAX_SAFE_INTEGER - entry.getRate()),
+        entry.time,
+        entry.hash()
+      );
+
+    const page = await pagination.getPage(
+      pagination.fromList(entries, getKey),
+      getKey,
+      cursor,
+      limit,
+      44
+    );
+
+    const result = [];
+
+    for (const entry of page.items) {
+      const json = await this.getTransaction(entry.hash());
+
+      //Removed from the mempool since it was listed.
+      if (!json) continue;
+
+      json.rate = entry.getRate();
+      json.size = entry.size;
+
+      result.push(json);
+    }
+
+    return { total: entries.length, next: page.next, prev: page.prev, result };
+  }
+
+  /**
+   * Estimate the fee rate needed to be mined within a number of blocks,
+   * from the size of the mempool paying more.
+   * @param {Number} blocks
+   * @returns {Number} - Rate in dollarydoos per kB.
+   */
+
+  getMempoolFeeRate(blocks) {
+    const mempool = this.node.mempool;
+
+    if (!mempool) return this.network.minRelay;
+
+    const capacity =
+      (blocks * policy.MAX_BLOCK_WEIGHT) / consensus.WITNESS_SCALE_FACTOR;
+
+    let size = 0;
+
+    for (const entry of this.getMempoolEntries()) {
+      size += entry.size;
+
+      //Outbid the first entry that would not fit.
+      if (size > capacity) return entry.getRate() + 1;
+    }
+
+    return mempool.options.minRelay;
+  }
+
+  /**
+   * Get a fee rate histogram of the mempool. Walking down from the
+   * highest rate, entries are grouped until a bucket holds the
+   * bucket size in virtual bytes, which grows 10% each bucket.
+   * @returns {Object[]} - Returns [{rate, size, count}], where rate is the
+   * lowest rate in the bucket.
+   */
+
+  getMempoolHistogram() {
+    const histogram = [];
+
+    let binSize = mempoolBinSize;
+    let bucket = null;
+
+    for (const entry of this.getMempoolEntries()) {
+      if (!bucket) bucket = { rate: 0, size: 0, count: 0 };
+
+      bucket.rate = entry.getRate();
+      bucket.size += entry.size;
+      bucket.count += 1;
+
+      if (bucket.size >= binSize) {
+        histogram.push(bucket);
+        bucket = null;
+        binSize = Math.floor(binSize * 1.1);
+      }
+    }
+
+    if (bucket) histogram.push(bucket);
+
+    return histogram;
+  }
+
+  /**
+   * Get the covenants of pending transactions, counted by type
+   * and by name.
+   * @param {Number?} type - Only list names with this type if set.
+   * @param {Object?} cursor - Decoded cursor, keyed on count and name hash.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {types, total, next, prev, result}, names
+   * with the most pending covenants first.
+   */
+
+  async getMempoolCovenants(type, cursor, limit = 25) {
+    const types = {};
+    const names = new Map();
+
+    for (const entry of this.getMempoolEntries()) {
+      for (const { covenant } of entry.tx.outputs) {
+        if (!covenant.isName()) continue;
+
+        const action = rules.typesByVal[covenant.type];
+        const key = covenant.getHash(0).toString("hex");
+
+        types[action] = (types[action] || 0) + 1;
+
+        if (!names.has(key))
+          names.set(key, {
+            nameHash: covenant.getHash(0),
+            name: null,
+            total: 0,
+            types: {}
+          });
+
+        const item = names.get(key);
+
+        item.total += 1;
+        item.types[action] = (item.types[action] || 0) + 1;
+
+        //OPEN, BID and CLAIM carry the raw name.
+        switch (covenant.type) {
+          case rules.types.OPEN:
+          case rules.types.BID:
+          case rules.types.CLAIM:
+            item.name = covenant.get(2).toString("binary");
+            break;
+        }
+      }
+    }
+
+    let list = [...names.values()];
+
+    if (type != null) {
+      const action = rules.typesByVal[type];
+      list = list.filter(item => item.types[action] != null);
+    }
+
+    const getKey = item =>
+      pagination.toKey(0xffffffff - item.total, item.nameHash);
+
+    list.sort((a, b) => getKey(a).compare(getKey(b)));
+
+    const page = await pagination.getPage(
+      pagination.fromList(list, getKey),
+      getKey,
+      cursor,
+      limit,
+      36
+    );
+
+    const result = [];
+
+    for (const item of page.items) {
+      const { nameHash, total, types } = item;
+
+      let name = item.name;
+
+      if (!name) {
+        const ns = await this.chain.db.getNameState(nameHash);
+        if (ns) name = ns.name.toString("binary");
+      }
+
+      result.push({
+        name,
+        hash: nameHash.toString("hex"),
+        total,
+        covenants: types
+      });
+    }
+
+    return {
+      types,
+      total: list.length,
+      next: page.next,
+      prev: page.prev,
+      result
+    };
+  }
+
+  /**
+   * List names by state from the name state index, by the height
+   * they entered it. A page only reads the names it returns.
+   * @param {Object} options
+   * @param {String?} options.state - Any state if not set.
+   * @param {String} options.sort - "desc" (newest first) or "asc".
+   * @param {Object?} options.cursor - Decoded cursor, keyed on height and
+   * name hash.
+   * @param {Number} options.limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
+
+  async getNames(options) {
+    const { state, cursor, limit } = options;
+    const desc = options.sort !== "asc";
+    const height = this.chain.height;
+    const ranges = this.getStateRanges(state, height);
+
+    const fetch = async (key, reverse, limit) => {
+      const after = key
+        ? { height: key.readUInt32BE(0), nameHash: key.slice(4) }
+        : null;
+
+      let items = [];
+
+      for (const { kind, start, end } of ranges) {
+        const names = await this.hdb.getNamesByHeight(kind, start, end, {
+          reverse: desc !== reverse,
+          after,
+          limit
+        });
+
+        items = items.concat(names);
+      }
+
+      items.sort((a, b) => {
+        const cmp = a.height - b.height || a.nameHash.compare(b.nameHash);
+        return desc !== reverse ? -cmp : cmp;
+      });
+
+      return items.slice(0, limit);
+    };
+
+    const page = await pagination.getPage(
+      fetch,
+      ({ height, nameHash }) => pagination.toKey(height, nameHash),
+      cursor,
+      limit,
+      36
+    );
+
+    const result = [];
+
+    for (const { nameHash } of page.items) {
+      const ns = await this.chain.db.getNameState(nameHash);
+
+      if (!ns) continue;
+
+      result.push(ns.getJSON(height, this.network));
+    }
+
+    const counts = await this.getNameCounts();
+    const total = state ? counts.states[state] : counts.total;
+
+    return { total, next: page.next, prev: page.prev, result };
+  }
+
+  /**
+   * Count names by state from the name counts, reading only the
+   * heights auctions and claims can still be locked or running at.
+   * @returns {Promise} - Returns name counts JSON.
+   */
+
+  async getNameCounts() {
+    const height = this.chain.height;
+    const counts = await this.hdb.getNameCounts();
+    const { AUCTION, CLAIM, REVOKED } = nameKinds;
+
+    const states = {};
+
+    for (const state of ["OPENING", "LOCKED", "BIDDING", "REVEAL"]) {
+      states[state] = 0;
+
+      for (const { kind, start, end } of this.getStateRanges(state, height))
+        states[state] += await this.hdb.getNameStarts(kind, start, end);
+    }
+
+    const inAuction = states.OPENING + states.BIDDING + states.REVEAL;
+
+    states.CLOSED =
+      counts.kinds[AUCTION] + counts.kinds[CLAIM] - inAuction - states.LOCKED;
+    states.REVOKED = counts.kinds[REVOKED];
+
+    return {
+      total: counts.total,
+      registered: counts.registered - counts.expiredRegistered,
+      inAuction,
+      expired: counts.expired,
+      states
+    };
+  }
+
+  /**
+   * Get upcoming name events in a height range, with the time they
+   * happened at or are estimated to happen at.
+   * @param {Number} start
+   * @param {Number} end
+   * @param {Number?} type - Any type if not set.
+   * @param {Object?} cursor - Decoded cursor, keyed on height, type and
+   * name hash.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}, events
+   * by height.
+   */
+
+  async getNameEvents(start, end, type, cursor, limit = 25) {
+    const height = this.chain.height;
+    const tip = this.chain.tip;
+    const { targetSpacing } = this.network.pow;
+
+    const fetch = (key, reverse, limit) => {
+      const after = key
+        ? {
+            height: key.readUInt32BE(0),
+            type: key[4],
+            nameHash: key.slice(5)
+          }
+        : null;
+
+      return this.hdb.getNameEvents(start, end, type, {
+        after,
+        reverse,
+        limit
+      });
+    };
+
+    const page = await pagination.getPage(
+      fetch,
+      event =>
+        pagination.toKey(
+          event.height,
+          Buffer.from([event.type]),
+          event.nameHash
+        ),
+      cursor,
+      limit,
+      37
+    );
+
+    const total = await this.hdb.countNameEvents(start, end, type);
+    const result = [];
+
+    for (const event of page.items) {
+      const ns = await this.chain.db.getNameState(event.nameHash);
+
+      if (!ns) continue;
+
+      let time = tip.time + (event.height - height) * targetSpacing;
+
+      if (event.height <= height) {
+        const entry = await this.chain.getEntryByHeight(event.height);
+        time = entry.time;
+      }
+
+      result.push({
+        name: ns.name.toString("binary"),
+        hash: event.nameHash.toString("hex"),
+        type: nameEventsByVal[event.type],
+        height: event.height,
+        blocksUntil: Math.max(0, event.height - height),
+        time
+      });
+    }
+
+    return { total, next: page.next, prev: page.prev, result };
+  }
+
+  /**
+   * Get the state index ranges holding names of a state at a height.
+   * Auction states follow from the auction start, claims are locked
+   * until the lockup period ends.
+   * @param {String?} state - Any state if not set.
+   * @param {Number} height
+   * @returns {Object[]} - Returns [{kind, start, end}].
+   */
+
+  getStateRanges(state, height) {
+    const { AUCTION, CLAIM, REVOKED } = nameKinds;
+    const {
+      treeInterval,
+      biddingPeriod,
+      revealPeriod,
+      lockupPeriod
+    } = this.network.names;
+
+    const open = treeInterval + 1;
+    const bidding = open + biddingPeriod;
+    const reveal = bidding + revealPeriod;
+    const max = 0xffffffff;
+
+    const states = {
+      OPENING: [[AUCTION, height - open + 1, max]],
+      BIDDING: [[AUCTION, height - bidding + 1, height - open]],
+      REVEAL: [[AUCTION, height - reveal + 1, height - bidding]],
+      CLOSED: [
+        [AUCTION, 0, height - reveal],
+        [CLAIM, 0, height - lockupPeriod]
+      ],
+      LOCKED: [[CLAIM, height - lockupPeriod + 1, max]],
+      REVOKED: [[REVOKED, 0, max]]
+    };
+
+    const ranges = state
+      ? states[state]
+      : [
+          [AUCTION, 0, max],
+          [CLAIM, 0, max],
+          [REVOKED, 0, max]
+        ];
+
+    assert(ranges, "Unknown name state.");
+
+    return ranges
+      .map(([kind, start, end]) => ({ kind, start: Math.max(0, start), end }))
+      .filter(({ start, end }) => end >= start);
+  }
+
+  /**
+   * Check whether names are valid, reserved, rolled out and
+   * can be opened at the next block.
+   * @param {String[]} names
+   * @returns {Promise} - Returns availability of each name.
+   */
+
+  async getNamesAvailability(names) {
+    const height = this.chain.height + 1;
+    const result = [];
+
+    for (const name of names) {
+      if (!rules.verifyString(name)) {
+        result.push({ name, valid: false });
+        continue;
+      }
+
+      const nameHash = rules.hashName(name);
+      const [start, week] = rules.getRollout(nameHash, this.network);
+      const reserved = rules.isReserved(nameHash, height, this.network);
+      const rolledOut = rules.hasRollout(nameHash, height, this.network);
+      const ns = await this.chain.db.getNameState(nameHash);
+      const expired = ns ? ns.isExpired(height, this.network) : false;
+
+      //Reserved names can be opened once a previous claim expired.
+      const available = (!ns || expired) && rolledOut && (!reserved || expired);
+
+      result.push({
+        name,
+        valid: true,
+        hash: nameHash.toString("hex"),
+        reserved,
+        rollout: { week, height: start },
+        rolledOut,
+        state:
+          ns && !expired ? ns.getJSON(height, this.network).state : "INACTIVE",
+        available
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Search names by prefix, substring and edit distance. Candidates
+   * are the names sharing a trigram with the query, matches are
+   * ranked by how they match, then by state and value.
+   * @param {String} query
+   * @param {Object?} cursor - Decoded cursor, keyed on the ranking.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
+
+  async searchNames(query, cursor, limit = 10) {
+    const height = this.chain.height;
+    const candidates = new Map();
+    const ranges = search.getGrams(query).map(gram => [gram, gram]);
+
+    if (query.length === 1) ranges.push(search.getStartRange(query));
+
+    //Common trigrams are capped, so very broad queries only see some names.
+    for (const [start, end] of ranges) {
+      const names = await this.hdb.getGramNames(start, end, 10000);
+
+      for (const { nameHash, name } of names) candidates.set(name, nameHash);
+    }
+
+    const rank = ({ match }) => search.matches.indexOf(match);
+
+    let matches = [];
+
+    for (const [name, nameHash] of candidates) {
+      const match = search.match(query, name);
+
+      if (match) matches.push(Object.assign({ name, nameHash }, match));
+    }
+
+    //Only the closest matches are looked up to rank by state.
+    matches.sort(
+      (a, b) =>
+        rank(a) - rank(b) ||
+        a.distance - b.distance ||
+        (a.name < b.name ? -1 : 1)
+    );
+
+    matches = matches.slice(0, 500);
+
+    const result = [];
+
+    for (const { name, nameHash, match, distance } of matches) {
+      const ns = await this.chain.db.getNameState(nameHash);
+
+      if (!ns) continue;
+
+      const expired = ns.isExpired(height, this.network);
+
+      result.push({
+        name,
+        match,
+        distance,
+        state: expired ? "INACTIVE" : ns.getJSON(height, this.network).state,
+        value: ns.value,
+        height: ns.height
+      });
+    }
+
+    const state = ({ state }) => search.states.indexOf(state);
 
-        // case "REGISTER":
-      }
+    //Values are inverted so the highest sorts first.
+    const getKey = item =>
+      Buffer.concat([
+        Buffer.from([rank(item), state(item)]),
+        pagination.toKey(
+          ...util.splitU64(Number.MAX_SAFE_INTEGER - item.value),
+          item.distance
+        ),
+        Buffer.from(item.name, "binary")
+      ]);
 
-      if (json.action != "NONE") {
-        json.nameHash = output.covenant.items[0];
-        if (!json.name) {
-          const ns = await this.chain.db.getNameState(
-            Buffer.from(json.nameHash, "hex")
-          );
-          if (ns) {
-            json.name = ns.name.toString("binary");
-          }
-        }
-      }
-      outputs.push(json);
-    }
+    result.sort((a, b) => getKey(a).compare(getKey(b)));
 
-    tx.inputs = inputs;
-    tx.outputs = outputs;
+    const page = await pagination.getPage(
+      pagination.fromList(result, getKey),
+      getKey,
+      cursor,
+      limit
+    );
 
-    return tx;
+    return {
+      total: result.length,
+      next: page.next,
+      prev: page.prev,
+      result: page.items
+    };
   }
 
   //@todo build out the name over these function calls.
@@ -350,6 +1187,9 @@ class Hnscan extends EventEmitter {
     data.revoked = info ? info.revoked : 0;
     data.blocksUntil = info ? Object.values(info.stats)[2] : null;
 
+    const owner = info ? await this.hdb.getNameOwner(nameHash) : null;
+    data.owner = owner ? owner.address.toString(this.network.type) : null;
+
     //@todo pull this into it's own function.
     switch (data.state) {
       case "OPENING":
@@ -367,18 +1207,13 @@ class Hnscan extends EventEmitter {
         data.nextState = "OPENING";
     }
 
-    let res = null;
-    if (ns) {
-      try {
-        res = Resource.decode(ns.data);
-        // return res.toJSON();
-      } catch (e) {}
-    }
+    const resource = info ? this.getResource(ns) : null;
+
+    data.records = resource ? resource.getJSON().records : [];
 
     //Offset, limit
     // let history = await this.nameHistory(nameHash, 0, 25);
 
-    //@todo show owner if it's not empty hash.
     //@todo have renewals link to a page on the name -> /name/sean/renewals
     //@todo use expired, and have that show names that were closed but then expired.
     // return {
@@ -409,10 +1244,32 @@ class Hnscan extends EventEmitter {
     };
   }
 
-  async getPeers(offset = 0, limit = 10) {
+  /**
+   * Get a page of the connected peers, by id.
+   * @param {Object?} cursor - Decoded cursor, keyed on peer id.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
+
+  async getPeers(cursor, limit = 10) {
+    let list = [];
+
+    for (let peer = this.node.pool.peers.head(); peer; peer = peer.next)
+      list.push(peer);
+
+    list.sort((a, b) => a.id - b.id);
+
+    const page = await pagination.getPage(
+      pagination.fromList(list, peer => pagination.toKey(peer.id)),
+      peer => pagination.toKey(peer.id),
+      cursor,
+      limit,
+      4
+    );
+
     let peers = [];
 
-    for (let peer = this.node.pool.peers.head(); peer; peer = peer.next) {
+    for (const peer of page.items) {
       const offset = this.network.time.known.get(peer.hostname()) || 0;
       const hashes = [];
 
@@ -448,12 +1305,12 @@ class Hnscan extends EventEmitter {
       });
     }
 
-    //@todo optimize both of these by doing them before pushing all the data above.
-    let total = peers.length;
-
-    peers = peers.slice(offset, offset + limit);
-
-    return [peers, total];
+    return {
+      total: list.length,
+      next: page.next,
+      prev: page.prev,
+      result: peers
+    };
   }
 
   async getPeersLocation(offset = 0) {
@@ -470,214 +1327,30 @@ class Hnscan extends EventEmitter {
   }
 
   /**
-   * Return the funding outputs for an address, confirmed and unconfirmed.
-   * @param addr - {Address}
-   * @returns {Promise} -> {[confirmed: Number, unconfirmed: Number]}
+   * Get a page of the transactions of a name, newest first.
+   * @param {Hash} nameHash
+   * @param {Object?} cursor - Decoded cursor, keyed on height and position.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}, with
+   * [{tx_hash, height, index}].
    */
-  async addressFunding(addr) {
-    try {
-      let confirmed = await this._addressFunding(addr);
-      let unconfirmed = await this._addressFundingUnconfirmed(addr);
-
-      return [confirmed, unconfirmed];
-    } catch (e) {
-      console.log(e);
-      return;
-    }
-  }
-
-  async _addressFunding(addr) {
-    let hash = addr.getHash();
-    let funding = [];
-
-    const iter = this.db.iterator({
-      gte: layout.o.min(hash),
-      lte: layout.o.max(hash),
-      values: true
-    });
-
-    await iter.each(async (key, raw) => {
-      const [userHash, txid] = layout.o.decode(key);
-
-      let tx = {
-        userHash,
-        tx_hash: txid.toString("hex"),
-        height: toU32(raw)
-      };
-
-      let newtx = await this.client.getTX(txid);
-
-      let outputIndex;
-      let value;
-
-      for (let i = 0; i < newtx.outputs.length; i++) {
-        if (userHash.equals(newtx.outputs[i].address.getHash())) {
-          outputIndex = i;
-          value = newtx.outputs[i].value;
-          break;
-        }
-      }
-
-      let output = {
-        tx_hash: txid.toString("hex"),
-        height: toU32(raw),
-        output_index: outputIndex,
-        value
-      };
-
-      funding.push(output);
-    });
-
-    return funding;
-  }
-
-  //TODO
-  async _addressFundingUnconfirmed(hash) {
-    return [];
-  }
 
-  async addressSpent(hash, funding) {
-    let confirmed = await this._addressSpent(hash, funding);
-    let unconfirmed = await this._addressSpentUnconfirmed(hash, funding);
-
-    return [confirmed, unconfirmed];
-  }
-
-  async _addressSpent(hash, funding) {
-    let spents = [];
-    for (let o of funding) {
-      let txPrefix = Buffer.from(o.tx_hash, "hex").slice(0, 8);
-
-      const txHashX = await this.db.get(
-        layout.i.encode(txPrefix, o.output_index)
-      );
-
-      if (txHashX) {
-        // let newtx = await this.client.getTX(txHashX);
-        let height = await this.db.get(layout.t.encode(txHashX));
-        height = toU32(height);
-
-        // let found = false;
-
-        // for (let i = 0; i < newtx.inputs.length; i++) {
-        //   let outpoint = newtx.inputs[i].prevout;
-        //   if (
-        //     outpoint.hash.toString("hex") === o.tx_hash &&
-        //     outpoint.index === o.output_index
-        //   ) {
-        //     found = true;
-
-        //     break;
-        //   }
-        // }
-
-        // if (found) {
-        let spent = {
-          tx_hash: txHashX.toString("hex"),
-          height: height,
-          funding_output: [o.tx_hash, o.output_index],
-          value: o.value
-        };
-        spents.push(spent);
-        // }
-      }
-    }
-
-    return spents;
-  }
-
-  async _addressSpentUnconfirmed(hash, funding) {
-    return [];
-  }
-
-  //Calculate Balance for an address
-  //TODO might actually be faster to have 1 function for both unconfirmed.
-  //Instead of in each subfunction.
-  async addressBalance(addr) {
-    let [fConfirmed, fUnconfirmed] = await this.addressFunding(addr);
-    let [sConfirmed, sUnconfirmed] = await this.addressSpent(addr, fConfirmed);
-
-    let totalFunded = 0;
-    for (let f of fConfirmed) {
-      totalFunded += f.value;
-    }
-
-    let totalSpent = 0;
-    for (let s of sConfirmed) {
-      totalSpent += s.value;
-    }
-
-    let balance = {
-      confirmed: totalFunded - totalSpent,
-      unconfirmed: totalFunded - totalSpent,
-      received: totalFunded,
-      spent: totalSpent
-    };
-
-    return balance;
-  }
-
-  async addressHistory(addr) {
-    let [fConfirmed, fUnconfirmed] = await this.addressFunding(addr);
-    let [sConfirmed, sUnconfirmed] = await this.addressSpent(addr, fConfirmed);
-
-    let txs = [];
-
-    for (let f of fConfirmed) {
-      let newtx = {
-        tx_hash: f.tx_hash,
-        height: f.height
-      };
-      txs.push(newtx);
-    }
-
-    for (let s of sConfirmed) {
-      let newtx = {
-        tx_hash: s.tx_hash,
-        height: s.height
-      };
-      txs.push(newtx);
-    }
-
-    //TODO implement mempool txs.
-    //Probably implement this through the client.
-
-    return txs;
-  }
-
-  async addressUnspent(addr) {
-    let [fConfirmed, fUnconfirmed] = await this.addressFunding(addr);
-    let [sConfirmed, sUnconfirmed] = await this.addressSpent(addr, fConfirmed);
-
-    let txs = [];
-
-    for (let f of fConfirmed) {
-      let newtx = {
-        tx_hash: f.tx_hash,
-        height: f.height,
-        tx_pos: f.output_index,
-        value: f.value
-      };
-      txs.push(newtx);
-    }
-
-    for (let s of sConfirmed) {
-      txs = txs.filter(tx => tx.tx_hash !== s.funding_output[0]);
-    }
-
-    return txs;
+  async getNameTXs(nameHash, cursor, limit = 25) {
+    return getHistoryPage(
+      (key, reverse, limit) =>
+        this.hdb.nameHistory(nameHash, key, reverse, limit),
+      await this.hdb.getNameTXCount(nameHash),
+      cursor,
+      limit
+    );
   }
 
   //@todo Not all bids and reveals are returning a value. help.
-  async getNameHistory(name, offset = 0, limit = 25) {
+  async getNameHistory(name, cursor, limit = 25) {
     const nameHash = rules.hashName(name);
-    let entireList = await this.hdb.nameHistory(nameHash);
-    //Sort in descending order.
-    entireList.sort((a, b) => (a.height < b.height ? 1 : -1));
+    const page = await this.getNameTXs(nameHash, cursor, limit);
 
-    let total = entireList.length;
-
-    let list = entireList.slice(offset, offset + limit);
+    let list = page.result;
 
     let history = [];
     for (let i = 0; i < list.length; i++) {
@@ -742,7 +1415,391 @@ class Hnscan extends EventEmitter {
         j++;
       }
     }
-    return [history, total];
+
+    page.result = history;
+
+    return page;
+  }
+
+  /**
+   * Decode the resource records a name was last updated with.
+   * Consensus only checks the size of the data, so it may not decode.
+   * @param {NameState} ns
+   * @returns {Resource} - Returns null if the data does not decode.
+   */
+
+  getResource(ns) {
+    if (ns.data.length === 0) return new Resource();
+
+    try {
+      return Resource.decode(ns.data);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the resource records of a name.
+   * @param {String} name
+   * @returns {Promise} - Returns {@link Resource} or null, also if the
+   * records do not decode.
+   */
+
+  async getNameResource(name) {
+    const nameHash = rules.hashName(name);
+    const ns = await this.chain.db.getNameState(nameHash);
+
+    if (!ns || ns.isExpired(this.chain.height, this.network)) return null;
+
+    return this.getResource(ns);
+  }
+
+  /**
+   * Render the resource records of a name as a zone file fragment.
+   * @param {String} name
+   * @param {Resource} resource
+   * @returns {String}
+   */
+
+  toZone(name, resource) {
+    const zone = resource.toZone(`${name}.`);
+
+    return zone.map(rr => rr.toString()).join("\n") + "\n";
+  }
+
+  /**
+   * Get the current owner of a name.
+   * @param {String} name
+   * @returns {Promise} - Returns owner JSON or null.
+   */
+
+  async getNameOwner(name) {
+    const nameHash = rules.hashName(name);
+    const owner = await this.hdb.getNameOwner(nameHash);
+
+    if (!owner) return null;
+
+    const ns = await this.chain.db.getNameState(nameHash);
+
+    if (!ns) return null;
+
+    return this.ownerToJSON(ns, owner);
+  }
+
+  /**
+   * Get a page of the names an address owns, by name hash.
+   * @param {Address} addr
+   * @param {Object?} cursor - Decoded cursor, keyed on name hash.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
+
+  async getAddressNames(addr, cursor, limit = 25) {
+    const list = await this.hdb.getAddressNames(addr.getHash());
+
+    const page = await pagination.getPage(
+      pagination.fromList(list, nameHash => nameHash),
+      nameHash => nameHash,
+      cursor,
+      limit,
+      32
+    );
+
+    const names = [];
+
+    for (const nameHash of page.items) {
+      const owner = await this.hdb.getNameOwner(nameHash);
+      const ns = await this.chain.db.getNameState(nameHash);
+
+      if (!owner || !ns) continue;
+
+      names.push(this.ownerToJSON(ns, owner));
+    }
+
+    return {
+      total: list.length,
+      next: page.next,
+      prev: page.prev,
+      result: names
+    };
+  }
+
+  ownerToJSON(ns, owner) {
+    const height = this.chain.height;
+    const { renewalWindow } = this.network.names;
+    const expires = ns.renewal + renewalWindow;
+
+    return Object.assign(
+      { name: ns.name.toString("binary") },
+      owner.getJSON(this.network.type),
+      {
+        state: ns.getJSON(height, this.network).state,
+        expired: ns.isExpired(height, this.network),
+        transfer: ns.transfer,
+        renewal: ns.renewal,
+        renewals: ns.renewals,
+        expires,
+        blocksUntilExpire: Math.max(0, expires - height)
+      }
+    );
+  }
+
+  /**
+   * Get every auction of a name with its bids, linked to their reveals.
+   * The winner and second price follow the order hsd applies reveals in.
+   * @param {String} name
+   * @returns {Promise} - Returns auctions, newest first.
+   */
+
+  async getNameBids(name) {
+    const nameHash = rules.hashName(name);
+    const height = this.chain.height;
+    const { treeInterval, biddingPeriod, revealPeriod } = this.network.names;
+    const list = await this.hdb.getNameBids(nameHash);
+
+    const auctions = new Map();
+
+    for (const item of list) {
+      const { start } = item.bid;
+
+      if (!auctions.has(start)) auctions.set(start, []);
+
+      auctions.get(start).push(item);
+    }
+
+    const result = [];
+
+    for (const [start, bids] of auctions) {
+      const revealEnd = start + treeInterval + 1 + biddingPeriod + revealPeriod;
+      const closed = height >= revealEnd;
+
+      const reveals = bids
+        .filter(({ bid }) => bid.revealed)
+        .sort(
+          (a, b) =>
+            a.bid.revealHeight - b.bid.revealHeight ||
+            a.bid.revealPosition - b.bid.revealPosition ||
+            a.bid.revealIndex - b.bid.revealIndex
+        );
+
+      let winner = null;
+      let highest = 0;
+      let price = 0;
+
+      for (const item of reveals) {
+        const { value } = item.bid;
+
+        if (value > highest) {
+          price = highest;
+          highest = value;
+          winner = item;
+        } else if (value > price) {
+          price = value;
+        }
+      }
+
+      bids.sort((a, b) => a.bid.height - b.bid.height);
+
+      result.push({
+        start,
+        revealEnd,
+        closed,
+        highest,
+        price,
+        winner: winner
+          ? {
+              txid: winner.txid.toString("hex"),
+              index: winner.index,
+              address: winner.bid.address.toString(this.network.type),
+              value: highest
+            }
+          : null,
+        bids: bids.map(({ txid, index, bid }) =>
+          Object.assign(
+            { txid: txid.toString("hex"), index },
+            bid.getJSON(this.network.type),
+            {
+              unrevealed: closed && !bid.revealed,
+              winner: winner !== null && winner.bid === bid
+            }
+          )
+        )
+      });
+    }
+
+    result.sort((a, b) => b.start - a.start);
+
+    return result;
+  }
+
+  /**
+   * Get the state of a name as webhooks report it.
+   * @param {Buffer} nameHash
+   * @returns {Promise} - Returns String.
+   */
+
+  async getWatchState(nameHash) {
+    const height = this.chain.height;
+    const ns = await this.chain.db.getNameState(nameHash);
+
+    if (!ns || ns.isExpired(height, this.network)) return "INACTIVE";
+
+    return ns.getJSON(height, this.network).state;
+  }
+
+  /**
+   * Watch an address or name for webhooks.
+   * @param {Number} type
+   * @param {Address|String} target - Address or name.
+   * @returns {Promise} - Returns the watch, existing or new.
+   */
+
+  async addWatch(type, target) {
+    let hash;
+
+    if (type === watchTypes.ADDRESS) {
+      hash = target.getHash();
+      target = target.toString(this.network.type);
+    } else {
+      hash = rules.hashName(target);
+    }
+
+    const existing = this.hdb.getWatch(type, hash);
+
+    if (existing) return existing.getJSON();
+
+    const record = new WatchRecord(type, target, this.chain.height);
+
+    if (type === watchTypes.NAME) record.state = await this.getWatchState(hash);
+
+    await this.hdb.putWatch(hash, record);
+
+    return record.getJSON();
+  }
+
+  /**
+   * Get a page of the watched addresses and names, oldest first.
+   * @param {Number?} type - Any type if not set.
+   * @param {Object?} cursor - Decoded cursor, keyed on height, type and hash.
+   * @param {Number} limit
+   * @returns {Promise} - Returns {total, next, prev, result}.
+   */
+
+  async getWatches(type, cursor, limit = 25) {
+    const getKey = ({ hash, record }) =>
+      pagination.toKey(record.height, Buffer.from([record.type]), hash);
+
+    const watches = this.hdb.getWatches(type);
+
+    watches.sort((a, b) => getKey(a).compare(getKey(b)));
+
+    const page = await pagination.getPage(
+      pagination.fromList(watches, getKey),
+      getKey,
+      cursor,
+      limit,
+      37
+    );
+
+    return {
+      total: watches.length,
+      next: page.next,
+      prev: page.prev,
+      result: page.items.map(({ record }) => record.getJSON())
+    };
+  }
+
+  /**
+   * Stop watching an address or name.
+   * @param {Number} type
+   * @param {Address|String} target - Address or name.
+   * @returns {Promise} - Returns Boolean, whether it was watched.
+   */
+
+  async removeWatch(type, target) {
+    const hash =
+      type === watchTypes.ADDRESS ? target.getHash() : rules.hashName(target);
+
+    return this.hdb.removeWatch(type, hash);
+  }
+
+  /**
+   * Get a chart series for a metric.
+   * @param {Object} metric - From charts.getMetric.
+   * @param {Object} options
+   * @param {String} options.resolution - block, hour, day, week or month.
+   * @param {String} options.aggregate - avg, sum, min, max or last.
+   * @param {Number} options.startTime
+   * @param {Number} options.endTime
+   * @param {Number} options.limit - Max number of ticks.
+   * @returns {Promise} - Returns [{date, value}].
+   */
+
+  async getChartSeries(metric, options) {
+    const { resolution, startTime, endTime, limit } = options;
+    const aggregate = options.aggregate || metric.aggregate;
+
+    const toValue = data => {
+      if (metric.ratio) {
+        const [num, den] = metric.ratio;
+        const total = data.getValue(den, "sum");
+
+        if (total <= 0) return 0;
+
+        return data.getValue(num, "sum") / total;
+      }
+
+      const value = data.getValue(metric.index, aggregate);
+
+      if (metric.amount) return Amount.coin(Math.round(value));
+
+      return value;
+    };
+
+    if (resolution === "block") {
+      const points = await this.hdb.getChartPoints(startTime, endTime, limit);
+
+      return points.map(point => ({
+        date: point.time * 1000,
+        height: point.height,
+        value: toValue(point)
+      }));
+    }
+
+    let buckets;
+
+    if (resolution === "hour" || resolution === "day") {
+      buckets = await this.hdb.getChartBuckets(
+        resolution,
+        startTime,
+        endTime,
+        limit
+      );
+    } else {
+      const days = await this.hdb.getChartBuckets("day", startTime, endTime);
+
+      buckets = [];
+
+      for (const day of days) {
+        const time = charts.getBucket(day.time, resolution);
+        let bucket = buckets[buckets.length - 1];
+
+        if (!bucket || bucket.time !== time) {
+          bucket = new ChartData();
+          bucket.time = time;
+          buckets.push(bucket);
+        }
+
+        bucket.merge(day);
+      }
+
+      buckets = buckets.slice(0, limit);
+    }
+
+    return buckets.map(bucket => ({
+      date: bucket.time * 1000,
+      value: toValue(bucket)
+    }));
   }
 }
 
@@ -845,4 +1902,18 @@ function hex32(num) {
   return num;
 }
 
+//Pages transaction history, newest first, keyed on height and position.
+async function getHistoryPage(fetch, total, cursor, limit) {
+  const getKey = ({ height, index }) => pagination.toKey(height, index);
+
+  const page = await pagination.getPage(fetch, getKey, cursor, limit, 8);
+
+  return {
+    total,
+    next: page.next,
+    prev: page.prev,
+    result: page.items
+  };
+}
+
 module.exports = Hnscan;
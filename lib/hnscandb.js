@@ -17,10 +17,63 @@ const layout = require("./layout");
 const { Lock } = require("bmutex");
 const bio = require("bufio");
 const blake2b = require("bcrypto/lib/blake2b");
-const { ChartData, ChainState } = require("./types");
+const {
+  ChartPoint,
+  ChartData,
+  ChainState,
+  SpentRecord,
+  TXRecord,
+  OutputRecord,
+  UnspentRecord,
+  AddressRecord,
+  AddressUndo,
+  BidRecord,
+  OwnerRecord,
+  NameIndexRecord,
+  NameCounts,
+  NameUndo,
+  WatchRecord
+} = require("./types");
 const rules = require("hsd/lib/covenants/rules");
 const { types } = rules;
 const Amount = require("hsd/lib/ui/amount");
+const charts = require("./charts");
+const search = require("./search");
+const util = require("./util");
+
+/*
+ * Database version.
+ * v0 -> spent index keyed by an 8 byte txid prefix.
+ * v1 -> spent index keyed by the full outpoint.
+ * v2 -> address index keyed per output, with value and height.
+ * v3 -> materialized address balances and stats.
+ * v4 -> address unspent output set.
+ * v5 -> chart buckets keyed by their own day, with a block count.
+ * v6 -> block chart points, hourly and daily buckets of every metric.
+ * v7 -> fee, size, interval and work chart metrics.
+ * v8 -> name activity chart metrics.
+ * v9 -> rich list ordered by balance.
+ * v10 -> auction bid index.
+ * v11 -> name owners.
+ * v12 -> names by state.
+ * v13 -> name counts.
+ * v14 -> upcoming name events.
+ * v15 -> name search trigrams.
+ * v16 -> transaction positions in their blocks.
+ * v17 -> address and name txs keyed by height and position, name tx
+ *        counts, address unspent counts and the rich list size.
+ */
+
+const DB_VERSION = 17;
+
+/*
+ * Chart bucket keys by resolution.
+ */
+
+const chartKeys = {
+  hour: layout.C,
+  day: layout.d
+};
 
 /**
  * HnscanDB
@@ -43,11 +96,11 @@ class HnscanDB extends EventEmitter {
     this.logger = this.options.logger.context("hnscan");
     this.db = bdb.create(this.options);
     this.client = this.options.client;
+    this.mempool = this.options.mempool;
     this.state = new ChainState();
     this.pending = new ChainState();
-
-    this.chartDataCurrentDate = 0;
-    this.chartDataCurrent = [];
+    //Webhook watches, "type:hash" -> {hash, record}.
+    this.watches = new Map();
   }
 
   /**
@@ -58,275 +111,1488 @@ class HnscanDB extends EventEmitter {
   async open() {
     await this.db.open();
 
-    await this.db.verify(layout.V.encode(), "hnscan", 0);
+    await this.migrate();
+
+    await this.db.verify(layout.V.encode(), "hnscan", DB_VERSION);
 
     const state = await this.getState();
 
     if (state) {
       this.state = state;
     }
+
+    await this.loadWatches();
   }
 
   /**
-   * Return header from the database.
+   * Get the database version.
+   * @returns {Promise} - Returns Number, -1 on a fresh database.
+   */
+
+  async getVersion() {
+    const data = await this.db.get(layout.V.encode());
+
+    if (!data) return -1;
+
+    return data.readUInt32LE(data.length - 4, true);
+  }
+
+  /**
+   * Bring an older database up to the current version.
    * @returns {Promise}
    */
 
-  async getHeaders(height) {
-    return await this.db.get(layout.h.encode(height));
+  async migrate() {
+    const version = await this.getVersion();
+
+    if (version === -1 || version === DB_VERSION) return;
+
+    if (version > DB_VERSION)
+      throw new Error("HnscanDB version is newer than this software.");
+
+    this.logger.info(
+      "Migrating HnscanDB from v%d to v%d.",
+      version,
+      DB_VERSION
+    );
+
+    if (version < 1) await this.migrateSpentIndex();
+
+    if (version < 2) await this.migrateAddressIndex();
+
+    if (version < 3) await this.migrateAddressRecords();
+
+    if (version < 4) await this.migrateUnspentIndex();
+
+    //Old chart rows can't be read with the current layouts, drop
+    //them before new blocks are indexed on top of them.
+    if (version < 8) {
+      await this.clearChartData();
+      await this.requestChartRebuild();
+    }
+
+    if (version < 9) await this.migrateRichList();
+
+    if (version < 15) await this.requestNameRebuild();
+
+    if (version < 16) await this.migrateTXPositions();
+
+    if (version < 17) {
+      await this.migrateAddressTXs();
+      await this.migrateNameTXs();
+      await this.migrateCounts();
+    }
+
+    const b = this.db.batch();
+    const value = Buffer.alloc(10);
+    value.write("hnscan", 0, "ascii");
+    value.writeUInt32LE(DB_VERSION, 6, true);
+    b.put(layout.V.encode(), value);
+    await b.write();
   }
 
-  async getHashByHeight(height) {
-    let header = await this.db.get(layout.h.encode(height));
+  /**
+   * Rewrite the 8 byte prefix spent index (`i`) into the full outpoint
+   * spent index (`p`). The spending tx is loaded to recover the full
+   * funding txid and the input index.
+   * @private
+   * @returns {Promise}
+   */
 
-    return blake2b.digest(header);
+  async migrateSpentIndex() {
+    const iter = this.db.iterator({
+      gte: layout.i.min(),
+      lte: layout.i.max(),
+      values: true
+    });
+
+    let b = this.db.batch();
+    let count = 0;
+
+    await iter.each(async (key, txid) => {
+      const [prefix, index] = layout.i.decode(key);
+
+      b.del(key);
+
+      const tx = await this.client.getTX(txid);
+      const height = await this.db.get(layout.t.encode(txid));
+
+      if (!tx || !height) {
+        this.logger.warning("Dropping spent entry for %x, unknown tx.", txid);
+        return;
+      }
+
+      for (let i = 0; i < tx.inputs.length; i++) {
+        const { prevout } = tx.inputs[i];
+
+        if (prevout.index !== index) continue;
+
+        if (!prevout.hash.slice(0, 8).equals(prefix)) continue;
+
+        const spent = new SpentRecord(txid, i, toU32(height));
+
+        b.put(layout.p.encode(prevout.hash, prevout.index), spent.encode());
+      }
+
+      if (++count % 10000 === 0) {
+        await b.write();
+        b = this.db.batch();
+        this.logger.info("Migrated %d spent entries.", count);
+      }
+    });
+
+    await b.write();
+
+    this.logger.info("Migrated %d spent entries.", count);
   }
 
   /**
-   * Verify network.
+   * Add the position of each transaction in its block to the
+   * transaction index (`t`), which only held the height.
+   * @private
    * @returns {Promise}
    */
 
-  async verifyNetwork() {
-    const raw = await this.db.get(layout.O.encode());
+  async migrateTXPositions() {
+    const height = await this.getHeight();
 
-    if (!raw) {
+    for (let start = 0; start <= height; start += 1000) {
+      const end = Math.min(start + 999, height);
+      const hashes = await this.client.getHashes(start, end);
       const b = this.db.batch();
-      b.put(layout.O.encode(), fromU32(this.network.magic));
-      return b.write();
+
+      for (let i = 0; i < hashes.length; i++) {
+        const block = await this.client.getBlock(hashes[i]);
+
+        for (let pos = 0; pos < block.txs.length; pos++) {
+          const record = new TXRecord(start + i, pos);
+          b.put(layout.t.encode(block.txs[pos].hash()), record.encode());
+        }
+      }
+
+      await b.write();
+
+      this.logger.info("Migrated tx positions to height %d.", end);
     }
+  }
 
-    const magic = raw.readUInt32LE(0, true);
+  /**
+   * Rewrite the address index (`o`), which stored one row per address
+   * and tx, into the per output address index (`a`).
+   * @private
+   * @returns {Promise}
+   */
 
-    if (magic !== this.network.magic)
-      throw new Error("Network mismatch for HnscanDB.");
+  async migrateAddressIndex() {
+    const iter = this.db.iterator({
+      gte: layout.o.min(),
+      lte: layout.o.max(),
+      values: true
+    });
 
-    return undefined;
+    let b = this.db.batch();
+    let count = 0;
+
+    await iter.each(async (key, raw) => {
+      const [hash, txid] = layout.o.decode(key);
+
+      b.del(key);
+
+      const tx = await this.client.getTX(txid);
+
+      if (!tx) {
+        this.logger.warning("Dropping address entry for %x, unknown tx.", txid);
+        return;
+      }
+
+      for (let i = 0; i < tx.outputs.length; i++) {
+        const output = tx.outputs[i];
+
+        if (!hash.equals(output.address.getHash())) continue;
+
+        const record = new OutputRecord(
+          output.value,
+          toU32(raw),
+          output.covenant.type
+        );
+
+        b.put(layout.a.encode(hash, txid, i), record.encode());
+      }
+
+      if (++count % 10000 === 0) {
+        await b.write();
+        b = this.db.batch();
+        this.logger.info("Migrated %d address entries.", count);
+      }
+    });
+
+    await b.write();
+
+    this.logger.info("Migrated %d address entries.", count);
+  }
+
+  /**
+   * Build the address records (`A`) from the address output index and
+   * the spent index.
+   * @private
+   * @returns {Promise}
+   */
+
+  async migrateAddressRecords() {
+    const iter = this.db.iterator({
+      gte: layout.a.min(),
+      lte: layout.a.max(),
+      values: true
+    });
+
+    let b = this.db.batch();
+    let count = 0;
+    let current = null;
+    let record = null;
+    let txids = null;
+
+    const flush = () => {
+      if (!current) return;
+      record.txs = txids.size;
+      b.put(layout.A.encode(current), record.encode());
+      count++;
+    };
+
+    const see = height => {
+      if (txids.size === 0 || height < record.firstSeen)
+        record.firstSeen = height;
+      if (height > record.lastSeen) record.lastSeen = height;
+    };
+
+    await iter.each(async (key, raw) => {
+      const [hash, txid, index] = layout.a.decode(key);
+      const output = OutputRecord.decode(raw);
+
+      if (!current || !current.equals(hash)) {
+        flush();
+        current = hash;
+        record = new AddressRecord();
+        txids = new Set();
+
+        if (count > 0 && count % 10000 === 0) {
+          await b.write();
+          b = this.db.batch();
+          this.logger.info("Migrated %d address records.", count);
+        }
+      }
+
+      see(output.height);
+      txids.add(txid.toString("hex"));
+      record.received += output.value;
+
+      const spent = await this.getSpent(txid, index);
+
+      if (spent) {
+        see(spent.height);
+        txids.add(spent.txid.toString("hex"));
+        record.sent += output.value;
+      }
+
+      record.balance = record.received - record.sent;
+    });
+
+    flush();
+
+    await b.write();
+
+    this.logger.info("Migrated %d address records.", count);
+  }
+
+  /**
+   * Build the address unspent set (`u`) from the address output index,
+   * skipping everything the spent index knows about.
+   * @private
+   * @returns {Promise}
+   */
+
+  async migrateUnspentIndex() {
+    const iter = this.db.iterator({
+      gte: layout.a.min(),
+      lte: layout.a.max(),
+      values: true
+    });
+
+    let b = this.db.batch();
+    let count = 0;
+
+    await iter.each(async (key, raw) => {
+      const [hash, txid, index] = layout.a.decode(key);
+      const output = OutputRecord.decode(raw);
+
+      if (await this.getSpent(txid, index)) return;
+
+      const coin = await this.client.getCoin(txid, index);
+
+      if (!coin) return;
+
+      const unspent = new UnspentRecord(
+        output.value,
+        output.type,
+        coin.coinbase
+      );
+
+      b.put(
+        layout.u.encode(hash, output.height, txid, index),
+        unspent.encode()
+      );
+
+      if (++count % 10000 === 0) {
+        await b.write();
+        b = this.db.batch();
+        this.logger.info("Migrated %d unspent outputs.", count);
+      }
+    });
+
+    await b.write();
+
+    this.logger.info("Migrated %d unspent outputs.", count);
+  }
+
+  /**
+   * Build the rich list from the address records.
+   * @private
+   * @returns {Promise}
+   */
+
+  async migrateRichList() {
+    const iter = this.db.iterator({
+      gte: layout.A.min(),
+      lte: layout.A.max(),
+      values: true
+    });
+
+    let b = this.db.batch();
+    let count = 0;
+
+    await iter.each(async (key, raw) => {
+      const [hash] = layout.A.decode(key);
+      const record = AddressRecord.decode(raw);
+
+      if (record.balance <= 0) return;
+
+      const [hi, lo] = util.splitU64(record.balance);
+
+      b.put(layout.r.encode(hi, lo, hash), null);
+
+      if (++count % 10000 === 0) {
+        await b.write();
+        b = this.db.batch();
+        this.logger.info("Migrated %d rich list entries.", count);
+      }
+    });
+
+    await b.write();
+
+    this.logger.info("Built rich list with %d addresses.", count);
+  }
+
+  /**
+   * Build the address transaction index (`T`) from the address
+   * output index and the spent index.
+   * @private
+   * @returns {Promise}
+   */
+
+  async migrateAddressTXs() {
+    const iter = this.db.iterator({
+      gte: layout.a.min(),
+      lte: layout.a.max(),
+      values: true
+    });
+
+    let b = this.db.batch();
+    let count = 0;
+
+    const put = async (hash, txid, height) => {
+      const record = await this.getTXRecord(txid);
+
+      if (!record) return;
+
+      b.put(layout.T.encode(hash, height, record.index), txid);
+    };
+
+    await iter.each(async (key, raw) => {
+      const [hash, txid, index] = layout.a.decode(key);
+      const output = OutputRecord.decode(raw);
+
+      await put(hash, txid, output.height);
+
+      const spent = await this.getSpent(txid, index);
+
+      if (spent) await put(hash, spent.txid, spent.height);
+
+      if (++count % 10000 === 0) {
+        await b.write();
+        b = this.db.batch();
+        this.logger.info("Migrated %d address outputs.", count);
+      }
+    });
+
+    await b.write();
+
+    this.logger.info("Migrated %d address outputs.", count);
+  }
+
+  /**
+   * Rewrite the name transaction index (`n`), keyed on txid, into
+   * one keyed on height and position (`e`) and count each name's
+   * transactions (`E`).
+   * @private
+   * @returns {Promise}
+   */
+
+  async migrateNameTXs() {
+    const iter = this.db.iterator({
+      gte: layout.n.min(),
+      lte: layout.n.max(),
+      values: true
+    });
+
+    let b = this.db.batch();
+    let count = 0;
+    let current = null;
+    let txs = 0;
+
+    const flush = () => {
+      if (current) b.put(layout.E.encode(current), fromU32(txs));
+    };
+
+    await iter.each(async (key, raw) => {
+      const [nameHash, txid] = layout.n.decode(key);
+
+      b.del(key);
+
+      if (!current || !current.equals(nameHash)) {
+        flush();
+        current = nameHash;
+        txs = 0;
+      }
+
+      const record = await this.getTXRecord(txid);
+
+      if (!record) {
+        this.logger.warning("Dropping name entry for %x, unknown tx.", txid);
+        return;
+      }
+
+      b.put(layout.e.encode(nameHash, toU32(raw), record.index), txid);
+      txs += 1;
+
+      if (++count % 10000 === 0) {
+        await b.write();
+        b = this.db.batch();
+        this.logger.info("Migrated %d name transactions.", count);
+      }
+    });
+
+    flush();
+
+    await b.write();
+
+    this.logger.info("Migrated %d name transactions.", count);
+  }
+
+  /**
+   * Count the unspent outputs of each address into its record,
+   * and the addresses holding a balance into the chain state.
+   * @private
+   * @returns {Promise}
+   */
+
+  async migrateCounts() {
+    const iter = this.db.iterator({
+      gte: layout.A.min(),
+      lte: layout.A.max(),
+      values: true
+    });
+
+    let b = this.db.batch();
+    let count = 0;
+    let addresses = 0;
+
+    await iter.each(async (key, raw) => {
+      const [hash] = layout.A.decode(key);
+      const record = AddressRecord.decode(raw);
+
+      record.utxos = 0;
+
+      await this.db
+        .iterator({
+          gte: layout.u.min(hash),
+          lte: layout.u.max(hash)
+        })
+        .each(() => {
+          record.utxos += 1;
+        });
+
+      b.put(key, record.encode());
+
+      if (record.balance > 0) addresses += 1;
+
+      if (++count % 10000 === 0) {
+        await b.write();
+        b = this.db.batch();
+        this.logger.info("Migrated %d address records.", count);
+      }
+    });
+
+    const state = await this.getState();
+
+    if (state) {
+      state.addresses = addresses;
+      b.put(layout.s.encode(), state.encode());
+    }
+
+    await b.write();
+
+    this.logger.info("Migrated %d address records.", count);
+  }
+
+  /**
+   * Return header from the database.
+   * @returns {Promise}
+   */
+
+  async getHeaders(height) {
+    return await this.db.get(layout.h.encode(height));
+  }
+
+  async getHashByHeight(height) {
+    let header = await this.db.get(layout.h.encode(height));
+
+    return blake2b.digest(header);
+  }
+
+  /**
+   * Verify network.
+   * @returns {Promise}
+   */
+
+  async verifyNetwork() {
+    const raw = await this.db.get(layout.O.encode());
+
+    if (!raw) {
+      const b = this.db.batch();
+      b.put(layout.O.encode(), fromU32(this.network.magic));
+      return b.write();
+    }
+
+    const magic = raw.readUInt32LE(0, true);
+
+    if (magic !== this.network.magic)
+      throw new Error("Network mismatch for HnscanDB.");
+
+    return undefined;
+  }
+
+  /**
+   * Close the hnscandb, wait for the database to close.
+   * @returns {Promise}
+   */
+
+  async close() {
+    return this.db.close();
+  }
+
+  batch() {
+    return this.db.batch();
+  }
+
+  /**
+   * Compute the chain state for a connected block and
+   * write it to the batch. Call `commit` once the batch
+   * has been written.
+   * @param (Batch) b
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   * @param (Number) addresses - Change in addresses holding a balance.
+   * @returns {ChainState} - The pending state.
+   */
+
+  saveEntry(b, entry, block, view, addresses) {
+    const hash = block.hash();
+
+    this.pending = this.state.clone();
+    this.pending.connectBlock(block, view);
+    this.pending.addresses += addresses;
+
+    b.put(layout.s.encode(), this.pending.commit(hash));
+    b.put(layout.b.encode(entry.height), hash);
+
+    return this.pending;
+  }
+
+  /**
+   * Revert the chain state for a disconnected block.
+   * @param (Batch) b
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   * @param (Number) addresses - Change in addresses holding a balance.
+   * @returns {ChainState} - The pending state.
+   */
+
+  removeEntry(b, entry, block, view, addresses) {
+    this.pending = this.state.clone();
+    this.pending.disconnectBlock(block, view);
+    this.pending.addresses += addresses;
+
+    b.put(layout.s.encode(), this.pending.commit(block.prevBlock));
+    b.del(layout.b.encode(entry.height));
+
+    return this.pending;
+  }
+
+  /**
+   * Make the pending chain state current after its batch is written.
+   */
+
+  commit() {
+    assert(this.pending);
+    this.state = this.pending;
+    this.pending = null;
+  }
+
+  /**
+   * Discard the pending chain state after a failed write.
+   */
+
+  drop() {
+    this.pending = null;
+  }
+
+  /**
+   * Get the hash of the block indexed at a height.
+   * @param {Number} height
+   * @returns {Promise} - Returns Buffer or null.
+   */
+
+  async getBlockHash(height) {
+    return this.db.get(layout.b.encode(height));
+  }
+
+  /**
+   * Write the sync height to a batch.
+   * A height of -1 means nothing has been indexed.
+   * @param (Batch) b
+   * @param {Number} height
+   */
+
+  setHeight(b, height) {
+    this.height = height;
+
+    if (height < 0) {
+      b.del(layout.H.encode());
+      return;
+    }
+
+    b.put(layout.H.encode(), fromU32(height));
+  }
+
+  /**
+   * Get where a transaction was confirmed.
+   * @param {Buffer} txid
+   * @returns {Promise} - Returns TXRecord.
+   */
+
+  async getTXRecord(txid) {
+    const raw = await this.db.get(layout.t.encode(txid));
+
+    if (!raw) return null;
+
+    return TXRecord.decode(raw);
+  }
+
+  async getHeight() {
+    let height = await this.db.get(layout.H.encode());
+
+    if (height == null) {
+      height = -1;
+    } else {
+      height = toU32(height);
+    }
+
+    return height;
+  }
+
+  /**
+   * Get a stored chart bucket, or an empty one.
+   * @param {String} resolution - hour or day.
+   * @param {Number} time - Start of the bucket.
+   * @returns {Promise} - Returns {@link ChartData}.
+   */
+
+  async getChartBucket(resolution, time) {
+    const key = chartKeys[resolution];
+    const data = await this.db.get(key.encode(time));
+
+    let bucket;
+
+    if (data) {
+      bucket = ChartData.decode(data);
+    } else {
+      bucket = new ChartData();
+    }
+
+    bucket.time = time;
+
+    return bucket;
+  }
+
+  //Adds a connected block's point to its hour and day.
+  async setChartData(b, point) {
+    b.put(layout.c.encode(point.time, point.height), point.encode());
+
+    for (const resolution of ["hour", "day"]) {
+      const time = charts.getBucket(point.time, resolution);
+      const bucket = await this.getChartBucket(resolution, time);
+
+      bucket.addPoint(point);
+
+      b.put(chartKeys[resolution].encode(time), bucket.encode());
+    }
+  }
+
+  //Removes a disconnected block's point. Min, max and last can't be
+  //reversed, so the hour is rebuilt from its remaining points and the
+  //day from its hours.
+  async removeChartData(b, entry) {
+    b.del(layout.c.encode(entry.time, entry.height));
+
+    const hour = new ChartData();
+    hour.time = charts.getBucket(entry.time, "hour");
+
+    const points = await this.getChartPoints(
+      hour.time,
+      hour.time + charts.HOUR - 1
+    );
+
+    for (const point of points) {
+      if (point.height === entry.height) continue;
+      hour.addPoint(point);
+    }
+
+    const day = new ChartData();
+    day.time = charts.getBucket(entry.time, "day");
+
+    const hours = await this.getChartBuckets(
+      "hour",
+      day.time,
+      day.time + charts.DAY - 1
+    );
+
+    for (const bucket of hours) {
+      if (bucket.time === hour.time) continue;
+      day.merge(bucket);
+    }
+
+    day.merge(hour);
+
+    for (const bucket of [hour, day]) {
+      const key = chartKeys[bucket === hour ? "hour" : "day"];
+
+      if (bucket.blocks === 0) {
+        b.del(key.encode(bucket.time));
+        continue;
+      }
+
+      b.put(key.encode(bucket.time), bucket.encode());
+    }
+  }
+
+  /**
+   * Get the block chart points within a time range.
+   * @param {Number} startTime
+   * @param {Number} endTime
+   * @param {Number?} limit
+   * @returns {Promise} - Returns {@link ChartPoint}[].
+   */
+
+  async getChartPoints(startTime, endTime, limit) {
+    const iter = this.db.iterator({
+      gte: layout.c.min(startTime),
+      lte: layout.c.max(endTime),
+      limit,
+      values: true
+    });
+
+    const points = [];
+
+    await iter.each(async (key, raw) => {
+      const [time, height] = layout.c.decode(key);
+      const point = ChartPoint.decode(raw);
+
+      point.time = time;
+      point.height = height;
+
+      points.push(point);
+    });
+
+    return points;
+  }
+
+  /**
+   * Get the hourly or daily chart buckets within a time range.
+   * @param {String} resolution - hour or day.
+   * @param {Number} startTime
+   * @param {Number} endTime
+   * @param {Number?} limit
+   * @returns {Promise} - Returns {@link ChartData}[].
+   */
+
+  async getChartBuckets(resolution, startTime, endTime, limit) {
+    const key = chartKeys[resolution];
+
+    assert(key, "Unknown chart resolution.");
+
+    const iter = this.db.iterator({
+      gte: key.min(startTime),
+      lte: key.max(endTime),
+      limit,
+      values: true
+    });
+
+    const buckets = [];
+
+    await iter.each(async (rawKey, raw) => {
+      const [time] = key.decode(rawKey);
+      const bucket = ChartData.decode(raw);
+
+      bucket.time = time;
+
+      buckets.push(bucket);
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Delete all chart points and buckets.
+   * @returns {Promise}
+   */
+
+  async clearChartData() {
+    for (const key of [layout.c, layout.C, layout.d]) {
+      const keys = await this.db.keys({
+        gte: key.min(),
+        lte: key.max()
+      });
+
+      for (let i = 0; i < keys.length; i += 10000) {
+        const b = this.db.batch();
+
+        for (const k of keys.slice(i, i + 10000)) b.del(k);
+
+        await b.write();
+      }
+    }
+  }
+
+  /**
+   * Flag the chart data to be rebuilt from the chain.
+   * @returns {Promise}
+   */
+
+  async requestChartRebuild() {
+    await this.db.put(layout.R.encode(), Buffer.from([1]));
+  }
+
+  /**
+   * Check whether a chart rebuild is pending.
+   * @returns {Promise} - Returns Boolean.
+   */
+
+  async needsChartRebuild() {
+    return this.db.has(layout.R.encode());
+  }
+
+  /**
+   * Get a bid by its outpoint.
+   * @param {Hash} nameHash
+   * @param {Number} start - Auction start height.
+   * @param {Hash} hash - Bid txid.
+   * @param {Number} index - Bid output index.
+   * @returns {Promise} - Returns {@link BidRecord}.
+   */
+
+  async getBid(nameHash, start, hash, index) {
+    const data = await this.db.get(
+      layout.B.encode(nameHash, start, hash, index)
+    );
+
+    if (!data) return null;
+
+    const bid = BidRecord.decode(data);
+    bid.start = start;
+
+    return bid;
+  }
+
+  /**
+   * Get every bid placed on a name.
+   * @param {Hash} nameHash
+   * @returns {Promise} - Returns [{txid, index, bid}].
+   */
+
+  async getNameBids(nameHash) {
+    const iter = this.db.iterator({
+      gte: layout.B.min(nameHash),
+      lte: layout.B.max(nameHash),
+      values: true
+    });
+
+    const bids = [];
+
+    await iter.each(async (key, raw) => {
+      const [, start, txid, index] = layout.B.decode(key);
+      const bid = BidRecord.decode(raw);
+
+      bid.start = start;
+
+      bids.push({ txid, index, bid });
+    });
+
+    return bids;
+  }
+
+  /**
+   * Get the current owner of a name.
+   * @param {Hash} nameHash
+   * @returns {Promise} - Returns {@link OwnerRecord}.
+   */
+
+  async getNameOwner(nameHash) {
+    const data = await this.db.get(layout.w.encode(nameHash));
+
+    if (!data) return null;
+
+    return OwnerRecord.decode(data);
+  }
+
+  /**
+   * Get the hashes of the names an address owns.
+   * @param {Buffer} hash - Address hash.
+   * @returns {Promise} - Returns nameHashes, in order.
+   */
+
+  async getAddressNames(hash) {
+    const keys = await this.db.keys({
+      gte: layout.W.min(hash),
+      lte: layout.W.max(hash)
+    });
+
+    return keys.map(key => layout.W.decode(key)[1]);
+  }
+
+  /**
+   * Get where a name sits in the state index.
+   * @param {Hash} nameHash
+   * @returns {Promise} - Returns {@link NameIndexRecord}.
+   */
+
+  async getNameIndex(nameHash) {
+    const data = await this.db.get(layout.q.encode(nameHash));
+
+    if (!data) return null;
+
+    return NameIndexRecord.decode(data);
+  }
+
+  /**
+   * Get the state index undo data of a block.
+   * @param {Number} height
+   * @returns {Promise} - Returns {@link NameUndo}.
+   */
+
+  async getNameUndo(height) {
+    const data = await this.db.get(layout.Q.encode(height));
+
+    if (!data) return new NameUndo();
+
+    return NameUndo.decode(data);
+  }
+
+  /**
+   * Get names of a kind in a height range of the state index,
+   * ordered by height then name hash.
+   * @param {Number} kind
+   * @param {Number} start - Lowest height.
+   * @param {Number} end - Highest height.
+   * @param {Object} options
+   * @param {Boolean} options.reverse - Highest first.
+   * @param {Object?} options.after - {height, nameHash} to page past.
+   * @param {Number} options.limit
+   * @returns {Promise} - Returns [{height, nameHash}].
+   */
+
+  async getNamesByHeight(kind, start, end, options) {
+    const { reverse, after, limit } = options;
+
+    const range = {
+      gte: layout.m.min(kind, start),
+      lte: layout.m.max(kind, end)
+    };
+
+    //Only tighten the range with the cursor, it may be outside of it.
+    if (after) {
+      const key = layout.m.encode(kind, after.height, after.nameHash);
+
+      if (reverse && key.compare(range.lte) <= 0) {
+        delete range.lte;
+        range.lt = key;
+      }
+
+      if (!reverse && key.compare(range.gte) >= 0) {
+        delete range.gte;
+        range.gt = key;
+      }
+    }
+
+    const keys = await this.db.keys(Object.assign({ reverse, limit }, range));
+
+    return keys.map(key => {
+      const [, height, nameHash] = layout.m.decode(key);
+      return { height, nameHash };
+    });
+  }
+
+  /**
+   * Get the name counts.
+   * @returns {Promise} - Returns {@link NameCounts}.
+   */
+
+  async getNameCounts() {
+    const data = await this.db.get(layout.K.encode());
+
+    if (!data) return new NameCounts();
+
+    return NameCounts.decode(data);
+  }
+
+  /**
+   * Count the names of a kind started in a height range.
+   * @param {Number} kind
+   * @param {Number} start
+   * @param {Number} end
+   * @returns {Promise} - Returns Number.
+   */
+
+  async getNameStarts(kind, start, end) {
+    let count = 0;
+
+    await this.db.range({
+      gte: layout.k.min(kind, start),
+      lte: layout.k.max(kind, end),
+      parse: (key, value) => {
+        count += value.readUInt32LE(0, true);
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Get how many names expire at a height, and how many of them
+   * are registered.
+   * @param {Number} height
+   * @returns {Promise} - Returns [count, registered].
+   */
+
+  async getNameExpiries(height) {
+    const data = await this.db.get(layout.x.encode(height));
+
+    if (!data) return [0, 0];
+
+    return [data.readUInt32LE(0, true), data.readUInt32LE(4, true)];
+  }
+
+  /**
+   * Update the name counts for a connected block. Names expiring at
+   * its height are counted before the block moves any of them.
+   * @param (Batch) b
+   * @param {Number} height
+   * @param {Object[]} changes - [{nameHash, prev, record}] of moved names.
+   * @returns {Promise}
+   */
+
+  async connectNameCounts(b, height, changes) {
+    const counts = await this.getNameCounts();
+    const [count, registered] = await this.getNameExpiries(height);
+
+    counts.expire(count, registered);
+
+    await this.updateNameCounts(b, counts, height, changes);
+
+    b.put(layout.K.encode(), counts.encode());
+  }
+
+  /**
+   * Update the name counts for a disconnected block.
+   * @param (Batch) b
+   * @param {Number} height
+   * @param {Object[]} changes - [{nameHash, prev, record}] of names moved back.
+   * @returns {Promise}
+   */
+
+  async disconnectNameCounts(b, height, changes) {
+    const counts = await this.getNameCounts();
+    const expiries = await this.updateNameCounts(b, counts, height, changes);
+
+    let [count, registered] = await this.getNameExpiries(height);
+
+    if (expiries.has(height)) [count, registered] = expiries.get(height);
+
+    counts.expire(-count, -registered);
+
+    b.put(layout.K.encode(), counts.encode());
+  }
+
+  /**
+   * Move names in the counts and the start and expiry histograms.
+   * @private
+   * @param (Batch) b
+   * @param {NameCounts} counts
+   * @param {Number} height
+   * @param {Object[]} changes
+   * @returns {Promise} - Returns the written expiries by height.
+   */
+
+  async updateNameCounts(b, counts, height, changes) {
+    const starts = new Map();
+    const expiries = new Map();
+
+    const move = (record, sign) => {
+      const key = `${record.kind}:${record.height}`;
+      const start = starts.get(key) || { record, delta: 0 };
+      const expiry = expiries.get(record.expires) || [0, 0];
+
+      start.delta += sign;
+      expiry[0] += sign;
+      if (record.registered) expiry[1] += sign;
+
+      starts.set(key, start);
+      expiries.set(record.expires, expiry);
+    };
+
+    for (const { prev, record } of changes) {
+      if (prev) {
+        counts.remove(prev, height);
+        move(prev, -1);
+      }
+
+      if (record) {
+        counts.add(record, height);
+        move(record, 1);
+      }
+    }
+
+    for (const { record, delta } of starts.values()) {
+      const key = layout.k.encode(record.kind, record.height);
+      const data = await this.db.get(key);
+      const total = (data ? data.readUInt32LE(0, true) : 0) + delta;
+
+      if (total > 0) b.put(key, fromU32(total));
+      else b.del(key);
+    }
+
+    for (const [expires, delta] of expiries) {
+      const [count, registered] = await this.getNameExpiries(expires);
+      const total = [count + delta[0], registered + delta[1]];
+
+      if (total[0] > 0) {
+        const bw = bio.write(8);
+        bw.writeU32(total[0]);
+        bw.writeU32(total[1]);
+        b.put(layout.x.encode(expires), bw.render());
+      } else {
+        b.del(layout.x.encode(expires));
+      }
+
+      expiries.set(expires, total);
+    }
+
+    return expiries;
   }
 
   /**
-   * Close the hnscandb, wait for the database to close.
-   * @returns {Promise}
+   * Move the upcoming events of names along with them.
+   * @param (Batch) b
+   * @param {Object[]} changes - [{nameHash, prev, record}] of moved names.
    */
 
-  async close() {
-    return this.db.close();
-  }
+  updateNameEvents(b, changes) {
+    for (const { nameHash, prev, record } of changes) {
+      if (prev) {
+        for (const { height, type } of prev.getEvents(this.network))
+          b.del(layout.v.encode(height, type, nameHash));
+      }
 
-  batch() {
-    return this.db.batch();
+      if (record) {
+        for (const { height, type } of record.getEvents(this.network))
+          b.put(layout.v.encode(height, type, nameHash), null);
+      }
+    }
   }
 
-  async saveEntry(entry, block, view) {
-    this.pending = this.state.clone();
-    const hash = block.hash();
-    this.pending.connect(block);
-
-    // Update chain state value.
-    for (let i = 0; i < block.txs.length; i++) {
-      const tx = block.txs[i];
-
-      if (i > 0) {
-        for (const { prevout } of tx.inputs) {
-          this.pending.spend(view.getOutput(prevout));
-        }
-      }
+  /**
+   * Get upcoming name events in a height range, by height.
+   * @param {Number} start
+   * @param {Number} end
+   * @param {Number?} type - Any type if not set.
+   * @param {Object} options
+   * @param {Boolean} options.reverse - Latest first.
+   * @param {Object?} options.after - {height, type, nameHash} to page past.
+   * @param {Number} options.limit
+   * @returns {Promise} - Returns [{height, type, nameHash}].
+   */
 
-      for (let i = 0; i < tx.outputs.length; i++) {
-        const output = tx.outputs[i];
+  async getNameEvents(start, end, type, options) {
+    const { reverse, after, limit } = options;
+    const events = [];
 
-        if (output.isUnspendable()) continue;
+    const range = {
+      gte: layout.v.min(start),
+      lte: layout.v.max(end)
+    };
 
-        // Registers are burned.
-        if (output.covenant.isRegister()) {
-          this.pending.burn(output);
-          continue;
-        }
+    //Only tighten the range with the cursor, it may be outside of it.
+    if (after) {
+      const key = layout.v.encode(after.height, after.type, after.nameHash);
 
-        if (
-          output.covenant.type >= types.UPDATE &&
-          output.covenant.type <= types.REVOKE
-        ) {
-          continue;
-        }
+      if (reverse && key.compare(range.lte) <= 0) {
+        delete range.lte;
+        range.lt = key;
+      }
 
-        this.pending.add(output);
+      if (!reverse && key.compare(range.gte) >= 0) {
+        delete range.gte;
+        range.gt = key;
       }
     }
 
-    this.pending.commit(hash);
-    this.state = this.pending;
-    this.pending = null;
-  }
+    await this.db.iterator(Object.assign({ reverse }, range)).each(key => {
+      const [height, eventType, nameHash] = layout.v.decode(key);
 
-  async saveState() {
-    this.db.put(layout.s.encode(), this.state.encode());
-  }
+      if (type != null && eventType !== type) return true;
 
-  //Need to edit this function - add more error checking
-  async setHeight(height) {
-    this.height = height;
+      events.push({ height, type: eventType, nameHash });
 
-    //Insert into DB.
-    await this.db.put(layout.H.encode(), fromU32(height));
+      return events.length < limit;
+    });
 
-    return;
+    return events;
   }
 
-  async getHeight() {
-    let height = await this.db.get(layout.H.encode());
-
-    if (height == null) {
-      height = 0;
-    } else {
-      height = toU32(height);
-    }
+  /**
+   * Count upcoming name events in a height range.
+   * @param {Number} start
+   * @param {Number} end
+   * @param {Number?} type - Any type if not set.
+   * @returns {Promise} - Returns Number.
+   */
 
-    return height;
-  }
+  async countNameEvents(start, end, type) {
+    let count = 0;
 
-  //For each block difficulty within the day,
-  //Would be great to only set 1 of these a day.
-  async setChartData(data) {
-    let date = Math.floor(data.time / (3600 * 24));
+    await this.db
+      .iterator({
+        gte: layout.v.min(start),
+        lte: layout.v.max(end)
+      })
+      .each(key => {
+        const [, eventType] = layout.v.decode(key);
 
-    if (this.chartDataCurrentDate === 0) {
-      //initialization
-      this.chartDataCurrentDate = date;
-      this.chartDataCurrent.push(data);
-    } else if (date > this.chartDataCurrentDate) {
-      let avg = ChartData.fromArray(this.chartDataCurrent);
+        if (type == null || eventType === type) count += 1;
+      });
 
-      await this.db.put(layout.d.encode(date * 3600 * 24), avg.encode());
+    return count;
+  }
 
-      this.chartDataCurrent = [];
-      this.chartDataCurrent.push(data);
-      this.chartDataCurrentDate = date;
-      return;
-    }
+  /**
+   * Add a name to the search index.
+   * @param (Batch) b
+   * @param {String} name
+   * @param {Hash} nameHash
+   */
 
-    this.chartDataCurrent.push(data);
+  indexNameSearch(b, name, nameHash) {
+    for (const gram of search.getGrams(name))
+      b.put(layout.g.encode(gram, nameHash), Buffer.from(name, "binary"));
   }
 
-  async getDifficultySeries(startTime, endTime) {
-    const iter = this.db.iterator({
-      gte: layout.d.min(startTime),
-      lte: layout.d.max(endTime),
-      values: true
-    });
+  /**
+   * Remove a name from the search index.
+   * @param (Batch) b
+   * @param {String} name
+   * @param {Hash} nameHash
+   */
 
-    let tickData = [];
+  unindexNameSearch(b, name, nameHash) {
+    for (const gram of search.getGrams(name))
+      b.del(layout.g.encode(gram, nameHash));
+  }
 
-    await iter.each(async (key, rawValue) => {
-      const [time] = layout.d.decode(key);
-      const chartData = ChartData.decode(rawValue);
+  /**
+   * Get the names with trigrams in a range.
+   * @param {Number} start
+   * @param {Number} end
+   * @param {Number} limit
+   * @returns {Promise} - Returns [{nameHash, name}].
+   */
 
-      let tick = {
-        date: time * 1000,
-        value: chartData.difficulty
-      };
+  async getGramNames(start, end, limit) {
+    const names = [];
 
-      tickData.push(tick);
+    await this.db.range({
+      gte: layout.g.min(start),
+      lte: layout.g.max(end),
+      limit,
+      parse: (key, value) => {
+        const [, nameHash] = layout.g.decode(key);
+        names.push({ nameHash, name: value.toString("binary") });
+      }
     });
 
-    return tickData;
+    return names;
   }
 
-  async getTransactionSeries(startTime, endTime) {
-    const iter = this.db.iterator({
-      gte: layout.d.min(startTime),
-      lte: layout.d.max(endTime),
-      values: true
-    });
+  /**
+   * Delete all name indexes.
+   * @returns {Promise}
+   */
 
-    let tickData = [];
+  async clearNameData() {
+    const indexes = [
+      layout.B,
+      layout.w,
+      layout.W,
+      layout.m,
+      layout.q,
+      layout.Q,
+      layout.k,
+      layout.x,
+      layout.v,
+      layout.g
+    ];
+
+    await this.db.del(layout.K.encode());
+
+    for (const key of indexes) {
+      const keys = await this.db.keys({
+        gte: key.min(),
+        lte: key.max()
+      });
+
+      for (let i = 0; i < keys.length; i += 10000) {
+        const b = this.db.batch();
+
+        for (const k of keys.slice(i, i + 10000)) b.del(k);
+
+        await b.write();
+      }
+    }
+  }
 
-    await iter.each(async (key, rawValue) => {
-      const [time] = layout.d.decode(key);
-      const chartData = ChartData.decode(rawValue);
+  /**
+   * Load the webhook watches.
+   * @private
+   * @returns {Promise}
+   */
 
-      let tick = {
-        date: time * 1000,
-        value: chartData.transactions
-      };
+  async loadWatches() {
+    this.watches.clear();
 
-      tickData.push(tick);
+    await this.db.range({
+      gte: layout.l.min(),
+      lte: layout.l.max(),
+      parse: (key, value) => {
+        const [type, hash] = layout.l.decode(key);
+        const record = WatchRecord.decode(value);
+        this.watches.set(watchKey(type, hash), { hash, record });
+      }
     });
-
-    return tickData;
   }
 
-  //@todo revamp all these and put them into 1 call w/ dynamic data fetching.
-  async getTotalTransactionSeries(startTime, endTime) {
-    const iter = this.db.iterator({
-      gte: layout.d.min(startTime),
-      lte: layout.d.max(endTime),
-      values: true
-    });
+  /**
+   * Get a webhook watch.
+   * @param {Number} type
+   * @param {Buffer} hash - Address or name hash.
+   * @returns {WatchRecord|null}
+   */
 
-    let tickData = [];
+  getWatch(type, hash) {
+    const watch = this.watches.get(watchKey(type, hash));
+    return watch ? watch.record : null;
+  }
 
-    await iter.each(async (key, rawValue) => {
-      const [time] = layout.d.decode(key);
-      const chartData = ChartData.decode(rawValue);
+  /**
+   * Get the webhook watches, oldest first.
+   * @param {Number?} type - Any type if not set.
+   * @returns {Object[]} - Returns [{hash, record}].
+   */
 
-      let tick = {
-        date: time * 1000,
-        value: chartData.totalTx
-      };
+  getWatches(type) {
+    const watches = [];
 
-      tickData.push(tick);
-    });
+    for (const watch of this.watches.values()) {
+      if (type == null || watch.record.type === type) watches.push(watch);
+    }
 
-    return tickData;
+    return watches.sort((a, b) => a.record.height - b.record.height);
   }
 
-  async getSupplySeries(startTime, endTime) {
-    const iter = this.db.iterator({
-      gte: layout.d.min(startTime),
-      lte: layout.d.max(endTime),
-      values: true
-    });
-
-    let tickData = [];
+  /**
+   * Save a webhook watch.
+   * @param {Buffer} hash - Address or name hash.
+   * @param {WatchRecord} record
+   * @returns {Promise}
+   */
 
-    await iter.each(async (key, rawValue) => {
-      const [time] = layout.d.decode(key);
-      const chartData = ChartData.decode(rawValue);
+  async putWatch(hash, record) {
+    await this.db.put(layout.l.encode(record.type, hash), record.encode());
+    this.watches.set(watchKey(record.type, hash), { hash, record });
+  }
 
-      let tick = {
-        date: time * 1000,
-        value: Amount.coin(chartData.supply)
-      };
+  /**
+   * Remove a webhook watch.
+   * @param {Number} type
+   * @param {Buffer} hash - Address or name hash.
+   * @returns {Promise} - Returns Boolean, whether it existed.
+   */
 
-      tickData.push(tick);
-    });
+  async removeWatch(type, hash) {
+    const key = watchKey(type, hash);
 
-    return tickData;
-  }
+    if (!this.watches.has(key)) return false;
 
-  async getBurnedSeries(startTime, endTime) {
-    const iter = this.db.iterator({
-      gte: layout.d.min(startTime),
-      lte: layout.d.max(endTime),
-      values: true
-    });
+    await this.db.del(layout.l.encode(type, hash));
+    this.watches.delete(key);
 
-    let tickData = [];
+    return true;
+  }
 
-    await iter.each(async (key, rawValue) => {
-      const [time] = layout.d.decode(key);
-      const chartData = ChartData.decode(rawValue);
+  /**
+   * Flag the name indexes to be rebuilt from the chain.
+   * @returns {Promise}
+   */
 
-      let tick = {
-        date: time * 1000,
-        value: Amount.coin(chartData.burned)
-      };
+  async requestNameRebuild() {
+    await this.db.put(layout.N.encode(), Buffer.from([1]));
+  }
 
-      tickData.push(tick);
-    });
+  /**
+   * Check whether a name index rebuild is pending.
+   * @returns {Promise} - Returns Boolean.
+   */
 
-    return tickData;
+  async needsNameRebuild() {
+    return this.db.has(layout.N.encode());
   }
 
   /**
@@ -341,8 +1607,12 @@ class HnscanDB extends EventEmitter {
 
       return [confirmed, unconfirmed];
     } catch (e) {
-      console.log(e);
-      return;
+      this.logger.error(
+        "Failed to get funding of %s: %s",
+        addr.toString(this.network.type),
+        e.message
+      );
+      throw e;
     }
   }
 
@@ -351,38 +1621,21 @@ class HnscanDB extends EventEmitter {
     let funding = [];
 
     const iter = this.db.iterator({
-      gte: layout.o.min(hash),
-      lte: layout.o.max(hash),
+      gte: layout.a.min(hash),
+      lte: layout.a.max(hash),
       values: true
     });
 
     await iter.each(async (key, raw) => {
-      const [userHash, txid] = layout.o.decode(key);
-
-      let tx = {
-        userHash,
-        tx_hash: txid.toString("hex"),
-        height: toU32(raw)
-      };
-
-      let newtx = await this.client.getTX(txid);
-
-      let outputIndex;
-      let value;
-
-      for (let i = 0; i < newtx.outputs.length; i++) {
-        if (userHash.equals(newtx.outputs[i].address.getHash())) {
-          outputIndex = i;
-          value = newtx.outputs[i].value;
-          break;
-        }
-      }
+      const [, txid, index] = layout.a.decode(key);
+      const record = OutputRecord.decode(raw);
 
       let output = {
         tx_hash: txid.toString("hex"),
-        height: toU32(raw),
-        output_index: outputIndex,
-        value
+        height: record.height,
+        output_index: index,
+        value: record.value,
+        covenant: record.type
       };
 
       funding.push(output);
@@ -391,164 +1644,371 @@ class HnscanDB extends EventEmitter {
     return funding;
   }
 
-  //TODO
-  async _addressFundingUnconfirmed(hash) {
-    return [];
+  async _addressFundingUnconfirmed(addr) {
+    if (!this.mempool) return [];
+
+    return this.mempool.getFunding(addr.getHash());
   }
 
-  async addressSpent(hash, funding) {
-    let confirmed = await this._addressSpent(hash, funding);
-    let unconfirmed = await this._addressSpentUnconfirmed(hash, funding);
+  async addressSpent(addr, funding) {
+    let confirmed = await this._addressSpent(addr, funding);
+    let unconfirmed = await this._addressSpentUnconfirmed(addr, funding);
 
     return [confirmed, unconfirmed];
   }
 
-  async _addressSpent(hash, funding) {
+  async _addressSpent(addr, funding) {
     let spents = [];
     for (let o of funding) {
-      let txPrefix = Buffer.from(o.tx_hash, "hex").slice(0, 8);
-
-      const txHashX = await this.db.get(
-        layout.i.encode(txPrefix, o.output_index)
+      const record = await this.getSpent(
+        Buffer.from(o.tx_hash, "hex"),
+        o.output_index
       );
 
-      if (txHashX) {
-        // let newtx = await this.client.getTX(txHashX);
-        let height = await this.db.get(layout.t.encode(txHashX));
-        height = toU32(height);
-
-        // let found = false;
-
-        // for (let i = 0; i < newtx.inputs.length; i++) {
-        //   let outpoint = newtx.inputs[i].prevout;
-        //   if (
-        //     outpoint.hash.toString("hex") === o.tx_hash &&
-        //     outpoint.index === o.output_index
-        //   ) {
-        //     found = true;
-
-        //     break;
-        //   }
-        // }
-
-        // if (found) {
+      if (record) {
         let spent = {
-          tx_hash: txHashX.toString("hex"),
-          height: height,
+          tx_hash: record.txid.toString("hex"),
+          height: record.height,
+          input_index: record.index,
           funding_output: [o.tx_hash, o.output_index],
           value: o.value
         };
         spents.push(spent);
-        // }
       }
     }
 
     return spents;
   }
 
-  async _addressSpentUnconfirmed(hash, funding) {
-    return [];
+  /**
+   * Get the transaction input that spent an output.
+   * @param {Hash} hash - Funding txid.
+   * @param {Number} index - Funding output index.
+   * @returns {Promise} - Returns {@link SpentRecord} or null.
+   */
+
+  async getSpent(hash, index) {
+    const data = await this.db.get(layout.p.encode(hash, index));
+
+    if (!data) return null;
+
+    return SpentRecord.decode(data);
+  }
+
+  async _addressSpentUnconfirmed(addr, funding) {
+    if (!this.mempool) return [];
+
+    return this.mempool.getSpent(addr.getHash());
+  }
+
+  /**
+   * Get the unconfirmed transactions of an address.
+   * @param addr - {Address}
+   * @returns {Object[]} - Returns [{tx, time, received, sent}].
+   */
+
+  addressMempool(addr) {
+    if (!this.mempool) return [];
+
+    return this.mempool.getTXs(addr.getHash());
+  }
+
+  /**
+   * Get the materialized balance and stats of an address.
+   * @param {Buffer} hash - Address hash.
+   * @returns {Promise} - Returns {@link AddressRecord} or null.
+   */
+
+  async getAddressRecord(hash) {
+    const data = await this.db.get(layout.A.encode(hash));
+
+    if (!data) return null;
+
+    return AddressRecord.decode(data);
+  }
+
+  /**
+   * Get addresses by balance, richest first.
+   * @param {Buffer?} after - Balance and address hash to page past.
+   * @param {Boolean} reverse - Page back, poorest first.
+   * @param {Number} limit
+   * @returns {Promise} - Returns [{hash, balance}].
+   */
+
+  async getRichList(after, reverse, limit) {
+    const range = { gte: layout.r.min(), lte: layout.r.max() };
+
+    if (after) {
+      const key = layout.r.encode(
+        after.readUInt32BE(0),
+        after.readUInt32BE(4),
+        after.slice(8)
+      );
+
+      if (reverse) {
+        delete range.gte;
+        range.gt = key;
+      } else {
+        delete range.lte;
+        range.lt = key;
+      }
+    }
+
+    const iter = this.db.iterator(
+      Object.assign({ reverse: !reverse, limit }, range)
+    );
+
+    const list = [];
+
+    await iter.each(async key => {
+      const [hi, lo, hash] = layout.r.decode(key);
+
+      list.push({ hash, balance: util.joinU64(hi, lo) });
+    });
+
+    return list;
+  }
+
+  /**
+   * Count the addresses richer than a rich list entry. Only the
+   * entries above it are walked, the total is in the chain state.
+   * @param {Buffer} key - Balance and address hash.
+   * @returns {Promise} - Returns Number.
+   */
+
+  async countRichList(key) {
+    const range = {
+      gt: layout.r.encode(
+        key.readUInt32BE(0),
+        key.readUInt32BE(4),
+        key.slice(8)
+      ),
+      lte: layout.r.max()
+    };
+
+    let count = 0;
+
+    await this.db.iterator(range).each(() => {
+      count += 1;
+    });
+
+    return count;
+  }
+
+  /**
+   * Get the address undo data of a block.
+   * @param {Number} height
+   * @returns {Promise} - Returns {@link AddressUndo} or null for blocks
+   * indexed before it was kept.
+   */
+
+  async getAddressUndo(height) {
+    const data = await this.db.get(layout.U.encode(height));
+
+    if (!data) return null;
+
+    return AddressUndo.decode(data);
+  }
+
+  /**
+   * Find the most recent height below `height` at which an address
+   * received or spent funds. Used to restore `lastSeen` on disconnect
+   * of blocks indexed without address undo data.
+   * @param {Buffer} hash - Address hash.
+   * @param {Number} height
+   * @returns {Promise} - Returns Number.
+   */
+
+  async getAddressLastSeen(hash, height) {
+    let lastSeen = 0;
+
+    const iter = this.db.iterator({
+      gte: layout.a.min(hash),
+      lte: layout.a.max(hash),
+      values: true
+    });
+
+    await iter.each(async (key, raw) => {
+      const [, txid, index] = layout.a.decode(key);
+      const output = OutputRecord.decode(raw);
+
+      if (output.height >= height) return;
+
+      lastSeen = Math.max(lastSeen, output.height);
+
+      const spent = await this.getSpent(txid, index);
+
+      if (spent && spent.height < height)
+        lastSeen = Math.max(lastSeen, spent.height);
+    });
+
+    return lastSeen;
   }
 
   //Calculate Balance for an address
-  //TODO might actually be faster to have 1 function for both unconfirmed.
-  //Instead of in each subfunction.
   async addressBalance(addr) {
-    let [fConfirmed, fUnconfirmed] = await this.addressFunding(addr);
-    let [sConfirmed, sUnconfirmed] = await this.addressSpent(addr, fConfirmed);
+    let record = await this.getAddressRecord(addr.getHash());
 
-    let totalFunded = 0;
-    for (let f of fConfirmed) {
-      totalFunded += f.value;
+    if (!record) {
+      record = new AddressRecord();
     }
 
-    let totalSpent = 0;
-    for (let s of sConfirmed) {
-      totalSpent += s.value;
-    }
+    let pending = 0;
+
+    for (const { received, sent } of this.addressMempool(addr))
+      pending += received - sent;
 
     let balance = {
-      confirmed: totalFunded - totalSpent,
-      unconfirmed: totalFunded - totalSpent,
-      received: totalFunded,
-      spent: totalSpent
+      confirmed: record.balance,
+      unconfirmed: record.balance + pending,
+      received: record.received,
+      spent: record.sent,
+      txs: record.txs,
+      firstSeen: record.firstSeen,
+      lastSeen: record.lastSeen
     };
 
     return balance;
   }
 
-  async addressHistory(addr) {
-    let [fConfirmed, fUnconfirmed] = await this.addressFunding(addr);
-    let [sConfirmed, sUnconfirmed] = await this.addressSpent(addr, fConfirmed);
+  /**
+   * Get a page of an address's transactions, newest first.
+   * @param addr - {Address}
+   * @param {Buffer?} after - Height and position to page past.
+   * @param {Boolean} reverse - Page back, oldest first.
+   * @param {Number} limit
+   * @returns {Promise} - Returns [{tx_hash, height, index}].
+   */
+
+  async addressHistory(addr, after, reverse, limit = 25) {
+    //TODO implement mempool txs.
+    //Probably implement this through the client.
+    return this.getHistory(layout.T, addr.getHash(), after, reverse, limit);
+  }
+
+  /**
+   * Get a page of an address's unspent outputs, newest first.
+   * @param addr - {Address}
+   * @param {Buffer?} after - Height and outpoint to page past.
+   * @param {Boolean} reverse - Page back, oldest first.
+   * @param {Number} limit
+   * @returns {Promise} - Returns Object[].
+   */
 
-    let txs = [];
+  async addressUnspent(addr, after, reverse, limit = 25) {
+    const hash = addr.getHash();
+    const txs = [];
 
-    for (let f of fConfirmed) {
-      let newtx = {
-        tx_hash: f.tx_hash,
-        height: f.height
-      };
-      txs.push(newtx);
-    }
+    const range = { gte: layout.u.min(hash), lte: layout.u.max(hash) };
 
-    for (let s of sConfirmed) {
-      let newtx = {
-        tx_hash: s.tx_hash,
-        height: s.height
-      };
-      txs.push(newtx);
+    if (after) {
+      const key = layout.u.encode(
+        hash,
+        after.readUInt32BE(0),
+        after.slice(4, 36),
+        after.readUInt32BE(36)
+      );
+
+      if (reverse) {
+        delete range.gte;
+        range.gt = key;
+      } else {
+        delete range.lte;
+        range.lt = key;
+      }
     }
 
-    //TODO implement mempool txs.
-    //Probably implement this through the client.
+    const iter = this.db.iterator(
+      Object.assign({ reverse: !reverse, limit, values: true }, range)
+    );
+
+    await iter.each(async (key, raw) => {
+      const [, height, txid, outputIndex] = layout.u.decode(key);
+      const unspent = UnspentRecord.decode(raw);
+
+      txs.push({
+        tx_hash: txid.toString("hex"),
+        height,
+        tx_pos: outputIndex,
+        value: unspent.value,
+        covenant: unspent.type,
+        coinbase: unspent.coinbase
+      });
+    });
 
     return txs;
   }
 
-  async addressUnspent(addr) {
-    let [fConfirmed, fUnconfirmed] = await this.addressFunding(addr);
-    let [sConfirmed, sUnconfirmed] = await this.addressSpent(addr, fConfirmed);
+  /**
+   * Get a page of a name's transactions, newest first.
+   * @param {Hash} nameHash
+   * @param {Buffer?} after - Height and position to page past.
+   * @param {Boolean} reverse - Page back, oldest first.
+   * @param {Number} limit
+   * @returns {Promise} - Returns [{tx_hash, height, index}].
+   */
 
-    let txs = [];
+  async nameHistory(nameHash, after, reverse, limit = 25) {
+    return this.getHistory(layout.e, nameHash, after, reverse, limit);
+  }
 
-    for (let f of fConfirmed) {
-      let newtx = {
-        tx_hash: f.tx_hash,
-        height: f.height,
-        tx_pos: f.output_index,
-        value: f.value
-      };
-      txs.push(newtx);
-    }
+  /**
+   * Get the number of transactions of a name.
+   * @param {Hash} nameHash
+   * @returns {Promise} - Returns Number.
+   */
 
-    for (let s of sConfirmed) {
-      txs = txs.filter(tx => tx.tx_hash !== s.funding_output[0]);
-    }
+  async getNameTXCount(nameHash) {
+    const data = await this.db.get(layout.E.encode(nameHash));
 
-    return txs;
+    if (!data) return 0;
+
+    return toU32(data);
   }
 
-  async nameHistory(nameHash) {
-    let auctionList = [];
+  /**
+   * Get a page of a transaction index keyed on height and position.
+   * @private
+   * @param {Object} index - Key layout of the index, `T` or `e`.
+   * @param {Buffer} hash - Address or name hash.
+   * @param {Buffer?} after - Height and position to page past.
+   * @param {Boolean} reverse - Page back, oldest first.
+   * @param {Number} limit
+   * @returns {Promise} - Returns [{tx_hash, height, index}].
+   */
 
-    const iter = this.db.iterator({
-      gte: layout.n.min(nameHash),
-      lte: layout.n.max(nameHash),
-      values: true
-    });
+  async getHistory(index, hash, after, reverse, limit) {
+    const txs = [];
 
-    await iter.each(async (key, raw) => {
-      const [, txid] = layout.n.decode(key);
+    const range = { gte: index.min(hash), lte: index.max(hash) };
 
-      let tx = {
-        tx_hash: txid.toString("hex"),
-        height: toU32(raw)
-      };
+    if (after) {
+      const bound = index.encode(
+        hash,
+        after.readUInt32BE(0),
+        after.readUInt32BE(4)
+      );
+
+      if (reverse) {
+        delete range.gte;
+        range.gt = bound;
+      } else {
+        delete range.lte;
+        range.lt = bound;
+      }
+    }
+
+    const iter = this.db.iterator(
+      Object.assign({ reverse: !reverse, limit, values: true }, range)
+    );
 
-      auctionList.push(tx);
+    await iter.each(async (key, txid) => {
+      const [, height, position] = index.decode(key);
+
+      txs.push({ tx_hash: txid.toString("hex"), height, index: position });
     });
 
-    return auctionList;
+    return txs;
   }
 
   async getState() {
@@ -571,6 +2031,7 @@ class HnscanDBOptions {
     this.network = Network.primary;
     this.logger = Logger.global;
     this.client = null;
+    this.mempool = null;
     this.prefix = null;
     this.location = null;
     this.memory = true;
@@ -603,6 +2064,11 @@ class HnscanDBOptions {
 
     assert(this.client);
 
+    if (options.mempool != null) {
+      assert(typeof options.mempool === "object");
+      this.mempool = options.mempool;
+    }
+
     if (options.prefix != null) {
       assert(typeof options.prefix === "string");
       this.prefix = options.prefix;
@@ -663,4 +2129,8 @@ function toU32(buf) {
   return num;
 }
 
+function watchKey(type, hash) {
+  return `${type}:${hash.toString("hex")}`;
+}
+
 module.exports = HnscanDB;
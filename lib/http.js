@@ -18,6 +18,10 @@ const version = require("../package.json").version;
 const protocol = require("../package.json").protocol;
 const bio = require("bufio");
 const util = require("./util.js");
+const charts = require("./charts.js");
+const pagination = require("./pagination.js");
+const { safeEqual } = require("bcrypto/lib/safe");
+const { nameEvents, watchTypesByVal } = require("./types");
 const rules = require("hsd/lib/covenants/rules");
 const Amount = require("hsd/lib/ui/amount");
 const NameState = require("hsd/lib/covenants/namestate");
@@ -26,6 +30,9 @@ const geoip = require("geoip-lite");
 
 const { Address, TX } = require("hsd");
 
+//Addresses and names one socket can watch.
+const MAX_CHANNELS = 1000;
+
 /**
  * HTTP
  * @alias module:hnscan.HTTP
@@ -55,6 +62,7 @@ class HTTP extends Server {
     // TODO: remove rpc call for names
     this.rpc = this.node.rpc;
     this.hnscan = this.options.hnscan;
+    this.indexer = this.options.indexer;
 
     this.init();
   }
@@ -85,6 +93,7 @@ class HTTP extends Server {
     });
 
     this.initRouter();
+    this.initSockets();
   }
 
   /**
@@ -128,18 +137,7 @@ class HTTP extends Server {
     this.get("/summary", async (req, res) => {
       const totalTX = this.mempool ? this.mempool.map.size : 0;
       const size = this.mempool ? this.mempool.getSize() : 0;
-      // const registeredNames = sortArr(await this.rpc.getNames([]), "close");
-      const start = process.hrtime();
-
-      const nameCount = await this.hnscan.getNameCount(this.chain.height);
-
-      const diff = process.hrtime(start);
-
-      const NS_PER_SEC = 1e9;
-
-      console.log(
-        `Benchmark took ${diff[0] * NS_PER_SEC + diff[1]} nanoseconds`
-      );
+      const names = await this.hnscan.getNameCounts();
 
       res.json(200, {
         network: this.network.type,
@@ -148,9 +146,97 @@ class HTTP extends Server {
         hashrate: await this.getHashRate(120),
         unconfirmed: totalTX,
         unconfirmedSize: size,
-        // Getting names doubles response time - any way to speed this up?
-        // @todo make this activeNames
-        registeredNames: nameCount
+        totalNames: names.total,
+        registeredNames: names.registered,
+        auctionNames: names.inAuction,
+        expiredNames: names.expired
+      });
+    });
+
+    this.get("/mempool", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const cursor = getCursor(valid);
+      const limit = valid.uint("limit", 25);
+
+      enforce(limit <= 50, "Too many transactions requested. Max of 50.");
+
+      const page = await this.hnscan.getMempool(cursor, limit);
+
+      res.json(200, toPage(page, limit));
+    });
+
+    this.get("/mempool/histogram", async (req, res) => {
+      const totalTX = this.mempool ? this.mempool.map.size : 0;
+      const size = this.mempool ? this.mempool.getSize() : 0;
+
+      res.json(200, {
+        unconfirmed: totalTX,
+        unconfirmedSize: size,
+        result: this.hnscan.getMempoolHistogram()
+      });
+    });
+
+    this.get("/mempool/covenants", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const type = valid.str("type");
+      const cursor = getCursor(valid);
+      const limit = valid.uint("limit", 25);
+
+      enforce(limit <= 100, "Too many names requested. Max of 100.");
+      enforce(
+        type == null || Object.prototype.hasOwnProperty.call(rules.types, type),
+        "Invalid covenant type."
+      );
+
+      const page = await this.hnscan.getMempoolCovenants(
+        type != null ? rules.types[type] : null,
+        cursor,
+        limit
+      );
+
+      res.json(200, Object.assign({ types: page.types }, toPage(page, limit)));
+    });
+
+    this.get("/fees/estimate", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const maxConfirms = this.fees ? this.fees.feeStats.maxConfirms : 0;
+      const target = valid.u32("target");
+
+      enforce(
+        target == null || (target >= 1 && target <= maxConfirms),
+        `Target must be between 1 and ${maxConfirms}.`
+      );
+
+      const targets = [];
+
+      if (target != null) targets.push(target);
+      else for (let i = 1; i <= maxConfirms; i++) targets.push(i);
+
+      const estimates = [];
+
+      for (const blocks of targets) {
+        const rate = this.fees.estimateFee(blocks, true);
+
+        //The estimator returns zero until it has seen enough blocks.
+        estimates.push({ target: blocks, rate: rate > 0 ? rate : null });
+      }
+
+      const mempool = [];
+
+      for (const blocks of [1, 3, 6]) {
+        mempool.push({
+          blocks,
+          rate: this.hnscan.getMempoolFeeRate(blocks)
+        });
+      }
+
+      res.json(200, {
+        height: this.chain.height,
+        minRelay: this.mempool
+          ? this.mempool.options.minRelay
+          : this.network.minRelay,
+        estimates,
+        mempool
       });
     });
 
@@ -188,35 +274,15 @@ class HTTP extends Server {
     // Default = 10; Max = 50
     this.get("/blocks", async (req, res) => {
       const valid = Validator.fromRequest(req);
-      const tip = this.chain.height;
+      const cursor = getCursor(valid);
       const limit = valid.uint("limit", 25);
-      const offset = valid.uint("offset", 0);
-      const start = tip - offset;
 
       enforce(limit <= 50, "Too many blocks requested. Max of 50.");
-      enforce(start >= 0, "Offset too large.");
       enforce(!this.chain.options.spv, "Cannot get block in SPV mode.");
 
-      let end = start - limit;
+      const page = await this.hnscan.getBlocks(cursor, limit);
 
-      if (end < 0) {
-        end = -1;
-      }
-
-      let blocks = [];
-      for (let i = start; i > end; i--) {
-        //@todo performance - parrallize this.
-        const block = await this.hnscan.getBlock(i);
-
-        blocks.push(block);
-      }
-
-      res.json(200, {
-        total: tip + 1,
-        offset,
-        limit,
-        result: blocks
-      });
+      res.json(200, toPage(page, limit));
     });
 
     this.get("/blocks/:height", async (req, res) => {
@@ -239,45 +305,29 @@ class HTTP extends Server {
       const valid = Validator.fromRequest(req);
       const height = valid.u32("height");
       const address = valid.str("address");
-      //@todo remove the offset
-      const offset = valid.u32("offset", 0);
-      const page = valid.u32("p", 1);
+      const cursor = getCursor(valid);
       const limit = valid.u32("limit", 25);
 
-      // TODO: Needs Fixing
-      // enforce(height != null || address != null, "height required.");
+      enforce(limit <= 50, "Too many transactions requested. Max of 50.");
 
-      //@todo this block can definitely be cleaned up considering they are both returning the same variable names.
-      if (height) {
-        const [txs, total] = await this.hnscan.getTransactionsByHeight(
-          height,
-          offset,
-          limit
-        );
+      let page;
 
-        res.json(200, {
-          total,
-          result: txs
-        });
+      if (height != null) {
+        page = await this.hnscan.getTransactionsByHeight(height, cursor, limit);
+
+        if (!page) {
+          res.json(404);
+          return;
+        }
       } else if (address) {
         //@todo catch this and return 404.
         let addr = Address.fromString(address, this.network.type);
-        const [txs, total] = await this.hnscan.getTransactionsByAddress(
-          addr,
-          offset,
-          limit
-        );
-        res.json(200, {
-          total,
-          offset,
-          limit,
-          result: txs
-        });
+        page = await this.hnscan.getTransactionsByAddress(addr, cursor, limit);
       } else {
-        const txs = await this.hnscan.getTransactions(limit);
-        // console.log("txs:", txs);
-        res.json(200, { result: txs });
+        page = await this.hnscan.getTransactions(cursor, limit);
       }
+
+      res.json(200, toPage(page, limit));
     });
 
     this.get("/txs/:hash", async (req, res) => {
@@ -296,60 +346,91 @@ class HTTP extends Server {
       res.json(200, tx);
     });
 
-    //@todo filters for name status
     this.get("/names", async (req, res) => {
       const valid = Validator.fromRequest(req);
       const limit = valid.uint("limit", 25);
-      const offset = valid.uint("offset", 0);
+      const state = valid.str("state");
+      const sort = valid.str("sort", "desc");
+      const cursor = getCursor(valid);
 
       enforce(limit <= 50, "Too many names requested. Max of 50.");
-      //@todo not sure if this is true.
-      enforce(!this.chain.options.spv, "Cannot get names in SPV mode.");
+      enforce(
+        state == null || NameState.states[state] != null,
+        "Invalid name state."
+      );
+      enforce(sort === "asc" || sort === "desc", "Invalid sort.");
 
-      // for (let i = start; i > end; i--) {
-      // const block = await this.hnscan.getBlock(i);
+      const page = await this.hnscan.getNames({
+        state,
+        sort,
+        cursor,
+        limit
+      });
 
-      // blocks.push(block);
-      // }
+      res.json(200, toPage(page, limit));
+    });
 
+    this.get("/names/events", async (req, res) => {
+      const valid = Validator.fromRequest(req);
       const height = this.chain.height;
-      const txn = this.chain.db.txn;
-      const items = [];
-
-      //@todo would be a lot more efficient to implement something like Lodash memorize here considering this will only change once every 36 blocks.
-      const iter = txn.iterator();
-
-      let length = iter.length;
-      while (await iter.next()) {
-        const { key, value } = iter;
-        const ns = NameState.decode(value);
-        ns.nameHash = key;
-
-        const info = ns.getJSON(height, this.network);
-        //@todo it may actually be more efficient to implement something like Binary Insert here.
-        //Ref: https://machinesaredigging.com/2014/04/27/binary-insert-how-to-keep-an-array-sorted-as-you-insert-data-in-it/
-        //For now, we are just going to push then sort.
-        items.push(info);
-      }
+      const fromHeight = valid.u32("fromHeight", height + 1);
+      const toHeight = valid.u32(
+        "toHeight",
+        fromHeight + 7 * this.network.pow.blocksPerDay
+      );
+      const type = valid.str("type");
+      const cursor = getCursor(valid);
+      const limit = valid.uint("limit", 100);
+
+      enforce(limit <= 500, "Too many events requested. Max of 500.");
+      enforce(fromHeight <= toHeight, "fromHeight is after toHeight.");
+      enforce(
+        type == null || Object.prototype.hasOwnProperty.call(nameEvents, type),
+        "Invalid event type."
+      );
 
-      items.sort(function(a, b) {
-        if (b.height !== a.height) {
-          return b.height - a.height;
-        }
-        if (a.name === b.name) {
-          return 0;
-        }
-        return a.name > b.name ? 1 : -1;
-      });
+      const page = await this.hnscan.getNameEvents(
+        fromHeight,
+        toHeight,
+        type != null ? nameEvents[type] : null,
+        cursor,
+        limit
+      );
 
-      const names = items.slice(offset, offset + limit);
+      res.json(
+        200,
+        Object.assign({ fromHeight, toHeight }, toPage(page, limit))
+      );
+    });
 
-      res.json(200, {
-        total: items.length,
-        offset,
-        limit,
-        result: names
-      });
+    this.get("/names/search", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const query = valid.str("q", "").toLowerCase();
+      const cursor = getCursor(valid);
+      const limit = valid.uint("limit", 10);
+
+      enforce(limit <= 50, "Too many names requested. Max of 50.");
+      enforce(rules.verifyString(query), "Invalid query.");
+
+      const page = await this.hnscan.searchNames(query, cursor, limit);
+
+      res.json(200, toPage(page, limit));
+    });
+
+    this.post("/names/availability", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const names = valid.array("names");
+
+      enforce(names != null, "names required.");
+      enforce(names.length <= 500, "Too many names requested. Max of 500.");
+      enforce(
+        names.every(name => typeof name === "string"),
+        "Names must be strings."
+      );
+
+      const result = await this.hnscan.getNamesAvailability(names);
+
+      res.json(200, { result });
     });
 
     this.get("/names/:name", async (req, res) => {
@@ -371,23 +452,81 @@ class HTTP extends Server {
     this.get("/names/:name/history", async (req, res) => {
       const valid = Validator.fromRequest(req);
       const name = valid.str("name");
+      const cursor = getCursor(valid);
+      const limit = valid.u32("limit", 25);
 
       enforce(name != null, "name required.");
+      enforce(limit <= 100, "Too many transactions requested. Max of 100.");
+
+      const page = await this.hnscan.getNameHistory(name, cursor, limit);
 
-      //@todo implement offset and limit here.
-      const [history, total] = await this.hnscan.getNameHistory(name, 0, 100);
+      res.json(200, toPage(page, limit));
+    });
+
+    this.get("/names/:name/bids", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str("name");
+
+      enforce(name != null, "name required.");
+      enforce(rules.verifyString(name), "Invalid name.");
 
-      if (!history) {
+      const auctions = await this.hnscan.getNameBids(name);
+
+      res.json(200, { name, auctions });
+    });
+
+    this.get("/names/:name/records", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str("name");
+      const format = valid.str("format", "json");
+
+      enforce(name != null, "name required.");
+      enforce(rules.verifyString(name), "Invalid name.");
+      enforce(format === "json" || format === "zone", "Invalid format.");
+
+      const resource = await this.hnscan.getNameResource(name);
+
+      if (!resource) {
         res.json(404);
         return;
       }
 
-      res.json(200, {
-        total,
-        offset: 0,
-        limit: 25,
-        result: history
-      });
+      if (format === "zone") {
+        res.text(200, this.hnscan.toZone(name, resource));
+        return;
+      }
+
+      res.json(200, { name, records: resource.getJSON().records });
+    });
+
+    this.get("/names/:name/owner", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+      const name = valid.str("name");
+
+      enforce(name != null, "name required.");
+      enforce(rules.verifyString(name), "Invalid name.");
+
+      const owner = await this.hnscan.getNameOwner(name);
+
+      if (!owner) {
+        res.json(404);
+        return;
+      }
+
+      res.json(200, owner);
+    });
+
+    this.get("/addresses/top", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+
+      let cursor = getCursor(valid);
+      let limit = valid.u32("limit", 25);
+
+      enforce(limit <= 100, "Too many addresses requested. Max of 100.");
+
+      const page = await this.hnscan.getRichList(cursor, limit);
+
+      res.json(200, toPage(page, limit));
     });
 
     this.get("/addresses/:hash", async (req, res) => {
@@ -410,22 +549,40 @@ class HTTP extends Server {
       res.json(200, balance);
     });
 
+    this.get("/addresses/:hash/names", async (req, res) => {
+      const valid = Validator.fromRequest(req);
+
+      let hash = valid.str("hash");
+      let cursor = getCursor(valid);
+      let limit = valid.u32("limit", 25);
+
+      enforce(hash != null, "address required.");
+      enforce(limit <= 100, "Too many names requested. Max of 100.");
+
+      let addr;
+
+      try {
+        addr = Address.fromString(hash, this.network.type);
+      } catch (e) {
+        enforce(false, "Invalid address.");
+      }
+
+      const page = await this.hnscan.getAddressNames(addr, cursor, limit);
+
+      res.json(200, toPage(page, limit));
+    });
+
     //@todo allow for filtering of peers by services, etc.
     this.get("/peers", async (req, res) => {
       const valid = Validator.fromRequest(req);
-      const page = valid.uint("page", 1);
+      const cursor = getCursor(valid);
       const limit = valid.uint("limit", 10);
-      // const offset = valid.uint("offset", 0);
-      const offset = (page - 1) * limit;
 
-      // enforce(limit <= 50, "Too many names requested. Max of 50.");
+      enforce(limit <= 50, "Too many peers requested. Max of 50.");
 
-      const [peers, total] = await this.hnscan.getPeers(offset, limit);
+      const page = await this.hnscan.getPeers(cursor, limit);
 
-      res.json(200, {
-        total,
-        result: peers
-      });
+      res.json(200, toPage(page, limit));
     });
 
     //@todo allow for filtering of peers by services, etc.
@@ -454,42 +611,42 @@ class HTTP extends Server {
 
       let hash = valid.str("hash");
 
-      //Check if is valid, if not return error - enforce
-      let addr = Address.fromString(hash, this.network);
-
-      let txs = this.mempool.getTXByAddress(addr);
+      enforce(hash != null, "address required.");
 
-      let history = this.mempool.getHistory();
+      let addr;
 
-      //@todo
-      console.log(history);
+      try {
+        addr = Address.fromString(hash, this.network.type);
+      } catch (e) {
+        enforce(false, "Invalid address.");
+      }
 
-      console.log(txs);
+      const mempool = await this.hnscan.getAddressMempool(addr);
 
-      res.json(200, {});
+      res.json(200, mempool);
     });
 
     this.get("/address/:hash/unspent", async (req, res) => {
       const valid = Validator.fromRequest(req);
 
       let hash = valid.str("hash");
+      let cursor = getCursor(valid);
       let limit = valid.u32("limit", 25);
-      let offset = valid.u32("offset", 0);
 
-      let end = offset + limit;
-
-      //Check if is valid, if not return error - enforce
-      let addr = Address.fromString(hash, this.network);
-
-      let txs = await this.ndb.addressUnspent(addr);
+      enforce(hash != null, "address required.");
+      enforce(limit <= 100, "Too many outputs requested. Max of 100.");
 
-      txs = util.sortTXs(txs);
+      let addr;
 
-      let total = txs.length;
+      try {
+        addr = Address.fromString(hash, this.network.type);
+      } catch (e) {
+        enforce(false, "Invalid address.");
+      }
 
-      let result = txs.slice(offset, end);
+      const page = await this.hnscan.getAddressUnspent(addr, cursor, limit);
 
-      res.json(200, { total, offset, limit, result });
+      res.json(200, toPage(page, limit));
     });
 
     // Address Tx History
@@ -497,35 +654,23 @@ class HTTP extends Server {
       const valid = Validator.fromRequest(req);
 
       let hash = valid.str("hash");
+      let cursor = getCursor(valid);
       let limit = valid.u32("limit", 10);
-      let offset = valid.u32("offset", 0);
-
-      let end = offset + limit;
 
-      let txs;
+      enforce(hash != null, "address required.");
+      enforce(limit <= 100, "Too many transactions requested. Max of 100.");
 
-      let addr = Address.fromString(hash, this.network);
+      let addr;
 
       try {
-        txs = await this.ndb.addressHistory(addr);
+        addr = Address.fromString(hash, this.network.type);
       } catch (e) {
-        res.json(400);
-        return;
+        enforce(false, "Invalid address.");
       }
 
-      //Return out of range if start is beyond array length.
-      if (offset > txs.length) {
-        res.json(416);
-        return;
-      }
-
-      txs = util.sortTXs(txs);
+      const page = await this.hnscan.getAddressHistory(addr, cursor, limit);
 
-      let total = txs.length;
-
-      let result = txs.slice(offset, end);
-
-      res.json(200, { total, offset, limit, result });
+      res.json(200, toPage(page, limit));
 
       return;
     });
@@ -600,6 +745,15 @@ class HTTP extends Server {
       if (rules.verifyString(name)) {
         let result = { type: "Name", url: `/name/${name}` };
         results.push(result);
+
+        //Suggest similar names after the verbatim one.
+        const matches = await this.hnscan.searchNames(name, null, 5);
+
+        for (const match of matches.result) {
+          if (match.name === name) continue;
+
+          results.push({ type: "Name", url: `/name/${match.name}` });
+        }
       }
 
       return res.json(200, results);
@@ -610,38 +764,20 @@ class HTTP extends Server {
       const valid = Validator.fromRequest(req);
 
       let name = valid.str("name");
+      let cursor = getCursor(valid);
       let limit = valid.u32("limit", 10);
-      let offset = valid.u32("offset", 0);
-      let full = valid.bool("full", false);
 
-      let end = offset + limit;
-
-      let txs;
-
-      let nameHash = rules.hashName(name);
+      enforce(name != null, "name required.");
+      enforce(limit <= 100, "Too many transactions requested. Max of 100.");
 
       //Do namechecks here, and return accordingly
+      enforce(rules.verifyString(name), "Invalid name.");
 
-      try {
-        txs = await this.ndb.nameHistory(nameHash);
-      } catch (e) {
-        res.json(400);
-        return;
-      }
-
-      //Return out of range if start is beyond array length.
-      if (offset > txs.length) {
-        res.json(416);
-        return;
-      }
-
-      txs = util.sortTXs(txs);
-
-      let total = txs.length;
+      let nameHash = rules.hashName(name);
 
-      let result = txs.slice(offset, end);
+      const page = await this.hnscan.getNameTXs(nameHash, cursor, limit);
 
-      res.json(200, { total, offset, limit, result });
+      res.json(200, toPage(page, limit));
 
       return;
     });
@@ -657,7 +793,7 @@ class HTTP extends Server {
       let balance;
 
       try {
-        balance = await this.ndb.addressBalance(addr);
+        balance = await this.hdb.addressBalance(addr);
       } catch (e) {
         res.json(400);
         return;
@@ -668,103 +804,91 @@ class HTTP extends Server {
       return;
     });
 
-    this.get("/charts/difficulty", async (req, res) => {
+    this.post("/watches", async (req, res) => {
       const valid = Validator.fromRequest(req);
-      let startTime = valid.u32("startTime");
-      let endTime = valid.u32("endTime");
-      let chartData;
-
-      try {
-        //@todo move this to hnscan file.
-        chartData = await this.hdb.getDifficultySeries(startTime, endTime);
-      } catch (e) {
-        console.log(e);
-        res.json(400);
-        return;
-      }
+      const type = valid.str("type");
+      const target = valid.str("target");
 
-      res.json(200, chartData);
+      const watch = await this.hnscan.addWatch(
+        getWatchType(type),
+        this.getWatchTarget(type, target)
+      );
 
-      return;
+      res.json(200, watch);
     });
 
-    this.get("/charts/dailyTransactions", async (req, res) => {
+    this.get("/watches", async (req, res) => {
       const valid = Validator.fromRequest(req);
-      let startTime = valid.u32("startTime");
-      let endTime = valid.u32("endTime");
-      let chartData;
+      const type = valid.str("type");
+      const cursor = getCursor(valid);
+      const limit = valid.u32("limit", 25);
 
-      try {
-        //@todo move this to hnscan file.
-        chartData = await this.hdb.getTransactionSeries(startTime, endTime);
-      } catch (e) {
-        res.json(400);
-        return;
-      }
+      enforce(limit <= 100, "Too many watches requested. Max of 100.");
 
-      res.json(200, chartData);
+      const page = await this.hnscan.getWatches(
+        type != null ? getWatchType(type) : null,
+        cursor,
+        limit
+      );
 
-      return;
+      res.json(200, toPage(page, limit));
     });
 
-    this.get("/charts/dailyTotalTransactions", async (req, res) => {
+    this.del("/watches/:type/:target", async (req, res) => {
       const valid = Validator.fromRequest(req);
-      let startTime = valid.u32("startTime");
-      let endTime = valid.u32("endTime");
-      let chartData;
+      const type = valid.str("type");
+      const target = valid.str("target");
 
-      try {
-        //@todo move this to hnscan file.
-        chartData = await this.hdb.getTotalTransactionSeries(
-          startTime,
-          endTime
-        );
-      } catch (e) {
-        res.json(400);
+      const removed = await this.hnscan.removeWatch(
+        getWatchType(type),
+        this.getWatchTarget(type, target)
+      );
+
+      if (!removed) {
+        res.json(404);
         return;
       }
 
-      res.json(200, chartData);
-
-      return;
+      res.json(200, { success: true });
     });
 
-    this.get("/charts/supply", async (req, res) => {
+    this.get("/charts/:metric", async (req, res) => {
       const valid = Validator.fromRequest(req);
-      let startTime = valid.u32("startTime");
-      let endTime = valid.u32("endTime");
-      let chartData;
-
-      try {
-        //@todo move this to hnscan file.
-        chartData = await this.hdb.getSupplySeries(startTime, endTime);
-      } catch (e) {
-        res.json(400);
-        return;
-      }
 
-      res.json(200, chartData);
+      let name = valid.str("metric");
+      let resolution = valid.str("resolution", "day");
+      let aggregate = valid.str("aggregate");
+      let startTime = valid.u32("startTime", 0);
+      let endTime = valid.u32("endTime", 0xffffffff);
+      let limit = valid.u32("limit", 10000);
 
-      return;
-    });
-
-    this.get("/charts/burned", async (req, res) => {
-      const valid = Validator.fromRequest(req);
-      let startTime = valid.u32("startTime");
-      let endTime = valid.u32("endTime");
-      let chartData;
+      const metric = charts.getMetric(name);
 
-      try {
-        //@todo move this to hnscan file.
-        chartData = await this.hdb.getBurnedSeries(startTime, endTime);
-      } catch (e) {
-        res.json(400);
+      if (!metric) {
+        res.json(404);
         return;
       }
 
-      res.json(200, chartData);
+      enforce(
+        charts.resolutions.includes(resolution),
+        `Resolution must be one of: ${charts.resolutions.join(", ")}.`
+      );
+      enforce(
+        aggregate == null || charts.aggregates.includes(aggregate),
+        `Aggregate must be one of: ${charts.aggregates.join(", ")}.`
+      );
+      enforce(startTime <= endTime, "startTime must not be after endTime.");
+      enforce(limit <= 10000, "Too many ticks requested. Max of 10000.");
+
+      const chartData = await this.hnscan.getChartSeries(metric, {
+        resolution,
+        aggregate,
+        startTime,
+        endTime,
+        limit
+      });
 
-      return;
+      res.json(200, chartData);
     });
   }
 
@@ -831,6 +955,298 @@ class HTTP extends Server {
     };
   }
 
+  /**
+   * Parse the address or name a watch request is for.
+   * @private
+   * @param {String} type - address or name.
+   * @param {String} target
+   * @returns {Address|String}
+   */
+
+  getWatchTarget(type, target) {
+    enforce(target != null, "target required.");
+
+    if (type === "name") {
+      enforce(rules.verifyName(target), "Invalid name.");
+      return target;
+    }
+
+    try {
+      return Address.fromString(target, this.network.type);
+    } catch (e) {
+      enforce(false, "Invalid address.");
+    }
+  }
+
+  /**
+   * Push indexed blocks and mempool transactions to sockets.
+   * @private
+   */
+
+  initSockets() {
+    if (this.indexer) {
+      this.indexer.on("block connect", async (entry, block, view) => {
+        try {
+          await this.handleBlockConnect(entry, block, view);
+        } catch (e) {
+          this.emit("error", e);
+        }
+      });
+
+      this.indexer.on("block disconnect", (entry, block) => {
+        this.to("blocks", "block disconnect", entryToJSON(entry));
+      });
+
+      this.indexer.on("chain reset", tip => {
+        this.to("blocks", "chain reset", entryToJSON(tip));
+      });
+    }
+
+    if (this.mempool) {
+      this.mempool.on("tx", async (tx, view) => {
+        try {
+          await this.handleTX(tx, view);
+        } catch (e) {
+          this.emit("error", e);
+        }
+      });
+    }
+  }
+
+  /**
+   * Handle new websocket.
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleSocket(socket) {
+    socket.hook("auth", (...args) => {
+      if (socket.channel("auth")) throw new Error("Already authed.");
+
+      if (!this.options.noAuth) {
+        const valid = new Validator(args);
+        const key = valid.str(0, "");
+
+        if (key.length > 255) throw new Error("Invalid API key.");
+
+        const data = Buffer.from(key, "ascii");
+        const hash = sha256.digest(data);
+
+        if (!safeEqual(hash, this.options.apiHash))
+          throw new Error("Invalid API key.");
+      }
+
+      socket.join("auth");
+
+      this.logger.info("Successful auth from %s.", socket.host);
+      this.handleAuth(socket);
+
+      return null;
+    });
+
+    socket.fire("version", {
+      version: pkg.version,
+      network: this.network.type
+    });
+  }
+
+  /**
+   * Handle websocket authentication.
+   * @private
+   * @param {WebSocket} socket
+   */
+
+  handleAuth(socket) {
+    socket.hook("watch blocks", () => {
+      socket.join("blocks");
+      return null;
+    });
+
+    socket.hook("unwatch blocks", () => {
+      socket.leave("blocks");
+      return null;
+    });
+
+    socket.hook("watch mempool", () => {
+      socket.join("mempool");
+      return null;
+    });
+
+    socket.hook("unwatch mempool", () => {
+      socket.leave("mempool");
+      return null;
+    });
+
+    socket.hook("watch address", (...args) => {
+      for (const channel of this.addressChannels(args)) {
+        if (socket.channels.size >= MAX_CHANNELS)
+          throw new Error("Too many subscriptions.");
+
+        socket.join(channel);
+      }
+
+      return null;
+    });
+
+    socket.hook("unwatch address", (...args) => {
+      for (const channel of this.addressChannels(args)) socket.leave(channel);
+
+      return null;
+    });
+
+    socket.hook("watch name", (...args) => {
+      for (const channel of nameChannels(args)) {
+        if (socket.channels.size >= MAX_CHANNELS)
+          throw new Error("Too many subscriptions.");
+
+        socket.join(channel);
+      }
+
+      return null;
+    });
+
+    socket.hook("unwatch name", (...args) => {
+      for (const channel of nameChannels(args)) socket.leave(channel);
+
+      return null;
+    });
+  }
+
+  /**
+   * Get the channels of addresses a socket asked for.
+   * @private
+   * @param {Array} args - Address strings.
+   * @returns {String[]}
+   */
+
+  addressChannels(args) {
+    const valid = new Validator(args);
+    const channels = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const str = valid.str(i);
+
+      if (!str) throw new Error("Invalid address.");
+
+      let addr;
+
+      try {
+        addr = Address.fromString(str, this.network.type);
+      } catch (e) {
+        throw new Error("Invalid address.");
+      }
+
+      channels.push(`address:${addr.getHash().toString("hex")}`);
+    }
+
+    return channels;
+  }
+
+  /**
+   * Push a connected block to block watchers, and its
+   * transactions to the watchers of what they touch.
+   * @private
+   * @param {ChainEntry} entry
+   * @param {Block} block
+   * @param {CoinView} view
+   */
+
+  async handleBlockConnect(entry, block, view) {
+    if (this.channel("blocks")) {
+      const json = await this.hnscan.getBlock(entry.height, false);
+
+      if (json) this.to("blocks", "block connect", json);
+    }
+
+    for (const tx of block.txs) this.pushActivity(tx, view, entry.height);
+  }
+
+  /**
+   * Push a transaction entering the mempool.
+   * @private
+   * @param {TX} tx
+   * @param {CoinView} view
+   */
+
+  async handleTX(tx, view) {
+    this.pushActivity(tx, view, -1);
+
+    if (!this.channel("mempool")) return;
+
+    const json = await this.hnscan.getTransaction(tx.hash());
+
+    //Already mined or evicted.
+    if (!json) return;
+
+    this.to("mempool", "mempool tx", json);
+  }
+
+  /**
+   * Push a transaction to the sockets watching its
+   * addresses and names.
+   * @private
+   * @param {TX} tx
+   * @param {CoinView} view
+   * @param {Number} height - -1 if unconfirmed.
+   */
+
+  pushActivity(tx, view, height) {
+    const addrs = new Map();
+    const names = new Map();
+    const hash = tx.txid();
+
+    const getAddr = address => {
+      const key = `address:${address.getHash().toString("hex")}`;
+
+      if (!addrs.has(key)) {
+        addrs.set(key, {
+          address: address.toString(this.network.type),
+          hash,
+          height,
+          received: 0,
+          sent: 0
+        });
+      }
+
+      return addrs.get(key);
+    };
+
+    for (const { prevout } of tx.inputs) {
+      const coin = view.getOutput(prevout);
+
+      if (!coin) continue;
+
+      getAddr(coin.address).sent += coin.value;
+    }
+
+    for (const { address, value, covenant } of tx.outputs) {
+      getAddr(address).received += value;
+
+      if (!covenant.isName()) continue;
+
+      const key = `name:${covenant.getHash(0).toString("hex")}`;
+
+      if (!names.has(key)) {
+        names.set(key, {
+          hash,
+          height,
+          nameHash: covenant.getHash(0).toString("hex"),
+          actions: []
+        });
+      }
+
+      names.get(key).actions.push(rules.typesByVal[covenant.type]);
+    }
+
+    for (const [channel, json] of addrs) {
+      if (this.channel(channel)) this.to(channel, "address tx", json);
+    }
+
+    for (const [channel, json] of names) {
+      if (this.channel(channel)) this.to(channel, "name tx", json);
+    }
+  }
+
   //TODO move these to util or somewhere else.
   addrToJSON(addr) {
     return {
@@ -956,6 +1372,11 @@ class HTTPOptions {
       this.client = options.client;
     }
 
+    if (options.indexer != null) {
+      assert(typeof options.indexer === "object");
+      this.indexer = options.indexer;
+    }
+
     if (options.logger != null) {
       assert(typeof options.logger === "object");
       this.logger = options.logger;
@@ -1045,6 +1466,46 @@ function enforce(value, msg) {
   }
 }
 
+function getCursor(valid) {
+  const cursor = valid.str("cursor");
+
+  if (cursor == null) return null;
+
+  return pagination.decodeCursor(cursor);
+}
+
+function toPage({ total, next, prev, result }, limit) {
+  return { total, limit, next, prev, result };
+}
+
+function nameChannels(args) {
+  const valid = new Validator(args);
+  const channels = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const name = valid.str(i);
+
+    if (!name || !rules.verifyName(name)) throw new Error("Invalid name.");
+
+    channels.push(`name:${rules.hashName(name).toString("hex")}`);
+  }
+
+  return channels;
+}
+
+function getWatchType(type) {
+  const value = watchTypesByVal.indexOf(type);
+  enforce(value !== -1, "Invalid watch type.");
+  return value;
+}
+
+function entryToJSON(entry) {
+  return {
+    hash: entry.hash.toString("hex"),
+    height: entry.height
+  };
+}
+
 function toDifficulty(bits) {
   let shift = (bits >>> 24) & 0xff;
   let diff = 0x0000ffff / (bits & 0x00ffffff);
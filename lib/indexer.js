@@ -13,7 +13,24 @@ const assert = require("bsert");
 const { Lock } = require("bmutex");
 const layout = require("./layout.js");
 const util = require("./util.js");
-const { ChartData, ChainState } = require("./types");
+const charts = require("./charts.js");
+const {
+  ChartPoint,
+  ChartData,
+  ChainState,
+  SpentRecord,
+  TXRecord,
+  OutputRecord,
+  UnspentRecord,
+  AddressRecord,
+  AddressUndo,
+  BidRecord,
+  OwnerRecord,
+  NameIndexRecord,
+  NameUndo,
+  nameKinds,
+  watchTypes
+} = require("./types");
 
 /**
  * Indexer
@@ -41,6 +58,7 @@ class Indexer extends EventEmitter {
     //@todo see if necessary
     // this.client = this.options.client || new NullClient(this);
     this.hdb = this.options.hdb;
+    this.webhooks = this.options.webhooks;
     this.height = 0;
     this.lock = new Lock();
 
@@ -77,6 +95,9 @@ class Indexer extends EventEmitter {
     this.client.bind("block connect", async (entry, block, view) => {
       try {
         await this.indexBlock(entry, block, view);
+        this.emit("block connect", entry, block, view);
+
+        if (this.webhooks) await this.notifyWatches(entry, block, view);
       } catch (e) {
         this.emit("error", e);
       }
@@ -84,8 +105,10 @@ class Indexer extends EventEmitter {
 
     this.client.bind("block disconnect", async (entry, block, view) => {
       try {
-        //@todo
         await this.unindexBlock(entry, block, view);
+        this.emit("block disconnect", entry, block, view);
+
+        if (this.webhooks) await this.notifyNames();
       } catch (e) {
         this.emit("error", e);
       }
@@ -94,6 +117,9 @@ class Indexer extends EventEmitter {
     this.client.bind("chain reset", async tip => {
       try {
         await this.rollback(tip.height);
+        this.emit("chain reset", tip);
+
+        if (this.webhooks) await this.notifyNames();
       } catch (e) {
         this.emit("error", e);
       }
@@ -161,12 +187,14 @@ class Indexer extends EventEmitter {
     try {
       this.logger.info("Resyncing from server...");
       await this.syncChain();
+
+      if (await this.hdb.needsChartRebuild()) await this._rebuildCharts();
+
+      if (await this.hdb.needsNameRebuild()) await this._rebuildNames();
     } finally {
       // Add time here
       let end = process.hrtime(start);
       this.logger.info("Hnscan fully synced in %d seconds", end[0]);
-      await this.hdb.saveState();
-      await this.hnscan.memorize(this.height);
       unlock();
     }
   }
@@ -178,7 +206,36 @@ class Indexer extends EventEmitter {
    */
 
   async syncChain() {
-    return this.scan();
+    let height = this.height;
+
+    // Walk back to the last block we indexed that is
+    // still on the main chain. Blocks indexed before
+    // hashes were recorded are assumed to be.
+    while (height >= 0) {
+      const hash = await this.hdb.getBlockHash(height);
+
+      if (!hash) break;
+
+      const entry = await this.client.getEntry(height);
+
+      if (entry && entry.hash.equals(hash)) {
+        if (height === this.height)
+          assert(hash.equals(this.hdb.state.tip), "Hnscan: Tip mismatch.");
+        break;
+      }
+
+      height -= 1;
+    }
+
+    if (height !== this.height) {
+      this.logger.warning(
+        "Hnscan tip (%d) is not on the main chain, forked at %d.",
+        this.height,
+        height
+      );
+    }
+
+    return this.scan(height + 1);
   }
 
   /**
@@ -189,17 +246,17 @@ class Indexer extends EventEmitter {
    */
 
   async scan(height) {
-    if (height == null) height = this.height;
+    if (height == null) height = this.height + 1;
 
     assert(height >>> 0 === height, "Hnscan: Must pass in a height.");
 
     const tip = await this.client.getTip();
 
-    if (tip.height < height) {
-      height = tip.height;
+    if (tip.height + 1 < height) {
+      height = tip.height + 1;
     }
 
-    await this.rollback(height);
+    await this.rollback(height - 1);
 
     this.logger.info("Hnscan is scanning %d blocks.", tip.height - height + 1);
 
@@ -222,14 +279,14 @@ class Indexer extends EventEmitter {
    * @param {Number} height
    * @returns {Promise}
    */
-  //@todo Untested.
+
   async rollback(height) {
     const tip = this.client.getTip();
 
     if (height > tip.height)
       throw new Error("Hnscan: Cannot rollback to the future.");
 
-    if (height === tip.height) {
+    if (height >= this.height) {
       this.logger.info("Rolled back to same height (%d).", height);
       return;
     }
@@ -240,37 +297,150 @@ class Indexer extends EventEmitter {
       height
     );
 
-    const entry = await this.client.getEntry(height);
+    for (let i = this.height; i > height; i--) {
+      await this.revert(i);
+    }
+
+    await this.setHeight(height);
+  }
+
+  /**
+   * Revert a block.
+   * @param {Number} height
+   * @returns {Promise}
+   */
+
+  async revert(height) {
+    const hash = await this.hdb.getBlockHash(height);
+
+    if (!hash) return;
+
+    const entry = await this.chain.getEntry(hash);
+    const block = await this.client.getBlock(hash);
+
+    if (!entry || !block) {
+      this.logger.error(
+        "Hnscan cannot revert block %d (%x), block data is unavailable.",
+        height,
+        hash
+      );
+      return;
+    }
+
+    const view = await this.client.getBlockView(block);
+    assert(view);
+
+    await this._unindexBlock(entry, block, view);
+  }
+
+  /**
+   * Rebuild the daily chart buckets by replaying every
+   * indexed block against a scratch chain state.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _rebuildCharts() {
+    this.logger.info("Rebuilding chart data for %d blocks.", this.height + 1);
+
+    await this.hdb.clearChartData();
+
+    const state = new ChainState();
+    const hours = new Map();
+    const days = new Map();
+
+    let b = this.hdb.batch();
+    let prev = null;
+
+    for (let i = 0; i <= this.height; i++) {
+      const entry = await this.client.getEntry(i);
+      assert(entry);
+
+      const block = await this.client.getBlock(entry.hash);
+      assert(block);
+
+      const view = await this.client.getBlockView(block);
+      assert(view);
+
+      state.connectBlock(block, view);
+
+      const point = ChartPoint.fromBlock(entry, block, view, state, prev);
+
+      prev = entry;
+
+      b.put(layout.c.encode(point.time, point.height), point.encode());
+
+      for (const [buckets, resolution] of [
+        [hours, "hour"],
+        [days, "day"]
+      ]) {
+        const time = charts.getBucket(point.time, resolution);
+
+        let bucket = buckets.get(time);
 
-    assert(entry);
+        if (!bucket) {
+          bucket = new ChartData();
+          bucket.time = time;
+          buckets.set(time, bucket);
+        }
+
+        bucket.addPoint(point);
+      }
+
+      if ((i + 1) % 10000 === 0) {
+        await b.write();
+        b = this.hdb.batch();
+      }
+    }
+
+    for (const bucket of hours.values())
+      b.put(layout.C.encode(bucket.time), bucket.encode());
+
+    for (const bucket of days.values())
+      b.put(layout.d.encode(bucket.time), bucket.encode());
 
-    //@todo
-    // await this.revert(entry.height);
-    await this.setHeight(entry.height);
+    b.del(layout.R.encode());
+
+    await b.write();
+
+    this.logger.info("Rebuilt %d days of chart data.", days.size);
   }
 
-  // /**
-  // * Revert a block.
-  // * @param {Number} height
-  // * @returns {Promise}
-  // */
+  /**
+   * Rebuild the name indexes by replaying every indexed block.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _rebuildNames() {
+    this.logger.info("Rebuilding name indexes for %d blocks.", this.height + 1);
+
+    await this.hdb.clearNameData();
 
-  //TODO implement this function
-  // async revert(height) {
-  // const block = await this.getBlock(height);
+    for (let i = 0; i <= this.height; i++) {
+      const entry = await this.client.getEntry(i);
+      assert(entry);
 
-  // if (!block)
-  //   return 0;
+      const block = await this.client.getBlock(entry.hash);
+      assert(block);
 
-  // const hashes = block.toArray();
+      const view = await this.client.getBlockView(block);
+      assert(view);
 
-  // for (let i = hashes.length - 1; i >= 0; i--) {
-  //   const hash = hashes[i];
-  //   await this.unconfirm(hash);
-  // }
+      //Later blocks read what earlier ones wrote, one batch each.
+      const b = this.hdb.batch();
 
-  // return hashes.length;
-  // }
+      await this.indexNames(b, entry, block, view);
+
+      await b.write();
+    }
+
+    const b = this.hdb.batch();
+    b.del(layout.N.encode());
+    await b.write();
+
+    this.logger.info("Rebuilt name indexes.");
+  }
 
   /**
    * Set internal indexer height.
@@ -281,11 +451,125 @@ class Indexer extends EventEmitter {
     this.height = height;
 
     //Insert into DB.
-    await this.hdb.setHeight(height);
+    const b = this.hdb.batch();
+    this.hdb.setHeight(b, height);
+    await b.write();
 
     return;
   }
 
+  /**
+   * Send webhooks for the watched addresses a block paid or spent
+   * from, and the watched names that changed state.
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   * @returns {Promise}
+   */
+
+  async notifyWatches(entry, block, view) {
+    const addrs = new Map();
+
+    const getWatched = address => {
+      const hash = address.getHash();
+      const record = this.hdb.getWatch(watchTypes.ADDRESS, hash);
+
+      if (!record) return null;
+
+      const key = hash.toString("hex");
+
+      if (!addrs.has(key)) {
+        addrs.set(key, {
+          address: record.target,
+          height: entry.height,
+          block: entry.hash.toString("hex"),
+          received: 0,
+          sent: 0,
+          txs: []
+        });
+      }
+
+      return addrs.get(key);
+    };
+
+    for (const tx of block.txs) {
+      const touched = new Set();
+
+      for (const { prevout } of tx.inputs) {
+        const coin = view.getOutput(prevout);
+
+        if (!coin) continue;
+
+        const watched = getWatched(coin.address);
+
+        if (!watched) continue;
+
+        watched.sent += coin.value;
+        touched.add(watched);
+      }
+
+      for (const { address, value } of tx.outputs) {
+        const watched = getWatched(address);
+
+        if (!watched) continue;
+
+        watched.received += value;
+        touched.add(watched);
+      }
+
+      for (const watched of touched) watched.txs.push(tx.txid());
+    }
+
+    for (const data of addrs.values()) this.webhooks.send("address", data);
+
+    await this.notifyNames();
+  }
+
+  /**
+   * Send webhooks for the watched names whose state
+   * changed since they were last notified, with a lock
+   * so concurrent blocks can't notify the same change twice.
+   * @returns {Promise}
+   */
+
+  async notifyNames() {
+    const unlock = await this.lock.lock();
+    try {
+      return await this._notifyNames();
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Send webhooks for the watched names whose state
+   * changed since they were last notified.
+   * @private
+   * @returns {Promise}
+   */
+
+  async _notifyNames() {
+    const tip = this.chain.tip;
+
+    for (const { hash, record } of this.hdb.getWatches(watchTypes.NAME)) {
+      const state = await this.hnscan.getWatchState(hash);
+
+      if (state === record.state) continue;
+
+      this.webhooks.send("name", {
+        name: record.target,
+        height: tip.height,
+        block: tip.hash.toString("hex"),
+        from: record.state,
+        to: state
+      });
+
+      record.state = state;
+
+      await this.hdb.putWatch(hash, record);
+    }
+  }
+
   /**
    * Index a block with a lock
    * @param (ChainEntry) entry
@@ -300,8 +584,6 @@ class Indexer extends EventEmitter {
       this.logger.info("Adding block: %d.", entry.height);
       return await this._indexBlock(entry, block, view);
     } finally {
-      await this.hdb.saveState();
-      await this.hnscan.memorize(this.height);
       unlock();
     }
   }
@@ -315,7 +597,7 @@ class Indexer extends EventEmitter {
    */
 
   async _indexBlock(entry, block, view) {
-    if (entry.height < this.height) {
+    if (entry.height <= this.height) {
       this.logger.warning(
         "Hnscan is connecting low blocks (%d).",
         entry.height
@@ -323,24 +605,15 @@ class Indexer extends EventEmitter {
       return;
     }
 
-    // if (entry.height >= this.network.block.slowHeight)
-    // this.logger.debug("Adding block: %d.", entry.height);
-
-    //TODO review this code from wallet.
-    ////We may want to adjust this.
-    ////Right now it's running on every height, but I'm wondering if we want height to be +1
-    //if (block.height === this.height) {
-    //  // We let blocks of the same height
-    //  // through specifically for rescans:
-    //  // we always want to rescan the last
-    //  // block since the state may have
-    //  // updated before the block was fully
-    //  // processed (in the case of a crash).
-    //  this.logger.warning("Already saw Hnscan block (%d).", block.height);
-    //} else if (block.height !== this.height + 1) {
-    //  await this.scan(this.height);
-    //  return 0;
-    //}
+    if (entry.height !== this.height + 1) {
+      this.logger.warning(
+        "Hnscan missed blocks %d to %d, rescanning.",
+        this.height + 1,
+        entry.height - 1
+      );
+      await this.scan(this.height + 1);
+      return;
+    }
 
     //TODO implement, and check if necessary
     // if (this.options.checkpoints && !this.state.marked) {
@@ -352,68 +625,832 @@ class Indexer extends EventEmitter {
     //  //if we are standalone we want to save the block headers
     //}
 
-    await this.indexTX(entry, block, view);
+    // Every row for this block goes out in a single batch,
+    // so a crash leaves the index at either the old or new tip.
+    const b = this.hdb.batch();
+
+    try {
+      const addresses = await this.indexTX(b, entry, block, view);
+
+      await this.indexNames(b, entry, block, view);
+
+      const state = this.hdb.saveEntry(b, entry, block, view, addresses);
 
-    await this.hdb.saveEntry(entry, block, view);
-    let state = await this.hdb.state;
+      const prev = await this.client.getPrevious(entry);
+      const point = ChartPoint.fromBlock(entry, block, view, state, prev);
 
-    let chartData = ChartData.fromBlockData(entry, block, state);
+      //Index the chart data
+      await this.hdb.setChartData(b, point);
 
-    //Index the chart data
-    await this.hdb.setChartData(chartData);
+      // Sync the new tip.
+      this.hdb.setHeight(b, entry.height);
+
+      await b.write();
+    } catch (e) {
+      this.hdb.drop();
+      throw e;
+    }
+
+    this.hdb.commit();
+    this.height = entry.height;
+  }
+
+  /**
+   * Unindex a block with a lock
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   * @returns {Promise}
+   */
 
-    // Sync the new tip.
-    await this.setHeight(entry.height);
+  async unindexBlock(entry, block, view) {
+    const unlock = await this.lock.lock();
+    try {
+      this.logger.info("Removing block: %d.", entry.height);
+      return await this._unindexBlock(entry, block, view);
+    } finally {
+      unlock();
+    }
+  }
+
+  /**
+   * Unindex a block
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   * @returns {Promise}
+   */
+
+  async _unindexBlock(entry, block, view) {
+    if (entry.height !== this.height) {
+      this.logger.warning(
+        "Hnscan is disconnecting a block that is not the tip (%d).",
+        entry.height
+      );
+      return;
+    }
+
+    const b = this.hdb.batch();
+
+    try {
+      await this.unindexNames(b, entry, block, view);
+
+      const addresses = await this.unindexTX(b, entry, block, view);
+
+      this.hdb.removeEntry(b, entry, block, view, addresses);
+
+      //Remove the block from the chart data
+      await this.hdb.removeChartData(b, entry);
+
+      // Sync the new tip.
+      this.hdb.setHeight(b, entry.height - 1);
+
+      await b.write();
+    } catch (e) {
+      this.hdb.drop();
+      throw e;
+    }
+
+    this.hdb.commit();
+    this.height = entry.height - 1;
   }
 
   /**
    * Index a transaction by txid.
    * @private
+   * @param (Batch) b
    * @param (ChainEntry) entry
    * @param (Block) block
    * @param (CoinView) view
+   * @returns {Promise} - Returns Number, the change in
+   * addresses holding a balance.
    */
-  async indexTX(entry, block, view) {
-    const b = this.hdb.batch();
+  async indexTX(b, entry, block, view) {
+    const names = new Map();
 
-    for (let tx of block.txs) {
+    for (let pos = 0; pos < block.txs.length; pos++) {
+      let tx = block.txs[pos];
       let txid = Buffer.from(tx.txid(), "hex");
 
-      for (let input of tx.inputs) {
+      for (const hash of getTXAddresses(tx, view))
+        b.put(layout.T.encode(hash, entry.height, pos), txid);
+
+      for (const nameHash of getTXNames(tx)) {
+        b.put(layout.e.encode(nameHash, entry.height, pos), txid);
+        countName(names, nameHash, 1);
+      }
+
+      for (let i = 0; i < tx.inputs.length; i++) {
+        const input = tx.inputs[i];
+
         if (input.isCoinbase()) {
           continue;
         }
 
-        let previousHashPrefix = Buffer.from(input.prevout.txid(), "hex").slice(
-          0,
-          8
-        );
-        let previousIndex = input.prevout.index;
+        const { prevout } = input;
+        const spent = new SpentRecord(txid, i, entry.height);
+
+        b.put(layout.p.encode(prevout.hash, prevout.index), spent.encode());
 
-        b.put(layout.i.encode(previousHashPrefix, previousIndex), txid);
+        const coin = view.getEntry(prevout);
+
+        if (coin) {
+          b.del(
+            layout.u.encode(
+              coin.output.address.getHash(),
+              coin.height,
+              prevout.hash,
+              prevout.index
+            )
+          );
+        }
       }
 
       //TODO see if parallizing the address indexing, and the name indexing will speed things up.
-      for (let output of tx.outputs) {
+      for (let i = 0; i < tx.outputs.length; i++) {
+        const output = tx.outputs[i];
+        let address = Buffer.from(output.address.getHash(), "hex");
+
+        const record = new OutputRecord(
+          output.value,
+          entry.height,
+          output.covenant.type
+        );
+
+        b.put(layout.a.encode(address, txid, i), record.encode());
+
+        if (output.isUnspendable()) continue;
+
+        const unspent = new UnspentRecord(
+          output.value,
+          output.covenant.type,
+          tx.isCoinbase()
+        );
+
+        b.put(
+          layout.u.encode(address, entry.height, txid, i),
+          unspent.encode()
+        );
+      }
+
+      b.put(layout.t.encode(txid), new TXRecord(entry.height, pos).encode());
+    }
+
+    await this.updateNameTXCounts(b, names);
+
+    const undo = new AddressUndo();
+    let addresses = 0;
+
+    for (const delta of this.getAddressDeltas(block, view).values()) {
+      let record = await this.hdb.getAddressRecord(delta.hash);
+
+      if (!record) record = new AddressRecord();
+
+      const balance = record.balance;
+
+      undo.push(delta.hash, record.lastSeen);
+
+      record.connect(delta, entry.height);
+
+      b.put(layout.A.encode(delta.hash), record.encode());
+
+      addresses += this.updateRichList(b, delta.hash, balance, record.balance);
+    }
+
+    if (undo.items.length > 0)
+      b.put(layout.U.encode(entry.height), undo.encode());
+
+    return addresses;
+  }
+
+  /**
+   * Remove the transaction index entries of a block.
+   * @private
+   * @param (Batch) b
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   * @returns {Promise} - Returns Number, the change in
+   * addresses holding a balance.
+   */
+  async unindexTX(b, entry, block, view) {
+    const names = new Map();
+
+    //Walk backwards so outputs created and spent within
+    //this block are restored before they are removed.
+    for (let j = block.txs.length - 1; j >= 0; j--) {
+      const tx = block.txs[j];
+      let txid = Buffer.from(tx.txid(), "hex");
+
+      for (const hash of getTXAddresses(tx, view))
+        b.del(layout.T.encode(hash, entry.height, j));
+
+      for (const nameHash of getTXNames(tx)) {
+        b.del(layout.e.encode(nameHash, entry.height, j));
+        countName(names, nameHash, -1);
+      }
+
+      for (let input of tx.inputs) {
+        if (input.isCoinbase()) {
+          continue;
+        }
+
+        const { prevout } = input;
+
+        b.del(layout.p.encode(prevout.hash, prevout.index));
+
+        const coin = view.getEntry(prevout);
+
+        if (coin) {
+          const unspent = new UnspentRecord(
+            coin.output.value,
+            coin.output.covenant.type,
+            coin.coinbase
+          );
+
+          b.put(
+            layout.u.encode(
+              coin.output.address.getHash(),
+              coin.height,
+              prevout.hash,
+              prevout.index
+            ),
+            unspent.encode()
+          );
+        }
+      }
+
+      for (let i = 0; i < tx.outputs.length; i++) {
+        const output = tx.outputs[i];
         let address = Buffer.from(output.address.getHash(), "hex");
 
-        if (output.covenant.isName()) {
+        b.del(layout.a.encode(address, txid, i));
+        b.del(layout.u.encode(address, entry.height, txid, i));
+      }
+
+      b.del(layout.t.encode(txid));
+    }
+
+    await this.updateNameTXCounts(b, names);
+
+    const undo = await this.hdb.getAddressUndo(entry.height);
+    const lastSeen = new Map();
+    let addresses = 0;
+
+    if (undo) {
+      for (const item of undo.items)
+        lastSeen.set(item.hash.toString("hex"), item.lastSeen);
+    }
+
+    for (const delta of this.getAddressDeltas(block, view).values()) {
+      const record = await this.hdb.getAddressRecord(delta.hash);
+
+      if (!record) continue;
+
+      const balance = record.balance;
+
+      record.disconnect(delta);
+
+      addresses += this.updateRichList(b, delta.hash, balance, record.balance);
+
+      if (record.txs === 0) {
+        b.del(layout.A.encode(delta.hash));
+        continue;
+      }
+
+      const key = delta.hash.toString("hex");
+
+      if (lastSeen.has(key)) {
+        record.lastSeen = lastSeen.get(key);
+      } else if (record.lastSeen >= entry.height) {
+        record.lastSeen = await this.hdb.getAddressLastSeen(
+          delta.hash,
+          entry.height
+        );
+      }
+
+      b.put(layout.A.encode(delta.hash), record.encode());
+    }
+
+    b.del(layout.U.encode(entry.height));
+
+    return addresses;
+  }
+
+  /**
+   * Index the name covenants of a block.
+   * @private
+   * @param (Batch) b
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   */
+
+  async indexNames(b, entry, block, view) {
+    //Owners changed earlier in this block, which the database
+    //doesn't have yet.
+    const owners = new Map();
+
+    const getOwner = async nameHash => {
+      const key = nameHash.toString("hex");
+
+      if (owners.has(key)) return owners.get(key);
+
+      return this.hdb.getNameOwner(nameHash);
+    };
+
+    const setOwner = async (nameHash, owner) => {
+      const prev = await getOwner(nameHash);
+
+      if (prev) b.del(layout.W.encode(prev.address.getHash(), nameHash));
+
+      if (owner) {
+        b.put(layout.w.encode(nameHash), owner.encode());
+        b.put(layout.W.encode(owner.address.getHash(), nameHash), null);
+      } else {
+        b.del(layout.w.encode(nameHash));
+      }
+
+      owners.set(nameHash.toString("hex"), owner);
+    };
+
+    //Where names sat in the state index before this block.
+    const undo = new NameUndo();
+    const moved = new Map();
+
+    const getName = async nameHash => {
+      const key = nameHash.toString("hex");
+
+      if (moved.has(key)) return moved.get(key);
+
+      const record = await this.hdb.getNameIndex(nameHash);
+
+      undo.push(nameHash, record);
+      moved.set(key, record);
+
+      return record;
+    };
+
+    const moveName = async (nameHash, record) => {
+      const prev = await getName(nameHash);
+
+      if (prev) b.del(layout.m.encode(prev.kind, prev.height, nameHash));
+
+      b.put(layout.m.encode(record.kind, record.height, nameHash), null);
+      b.put(layout.q.encode(nameHash), record.encode());
+
+      moved.set(nameHash.toString("hex"), record);
+    };
+
+    for (let j = 0; j < block.txs.length; j++) {
+      const tx = block.txs[j];
+      const txid = tx.hash();
+
+      for (let i = 0; i < tx.outputs.length; i++) {
+        const output = tx.outputs[i];
+        const { covenant } = output;
+
+        if (covenant.isBid()) {
+          const bid = new BidRecord();
+
+          bid.height = entry.height;
+          bid.lockup = output.value;
+          bid.blind = covenant.getHash(3);
+          bid.address = output.address;
+
           b.put(
-            layout.n.encode(output.covenant.getHash(0), txid),
-            util.fromU32(entry.height)
+            layout.B.encode(covenant.getHash(0), covenant.getU32(1), txid, i),
+            bid.encode()
+          );
+        }
+
+        //A reveal spends its bid through the input of the same index.
+        if (covenant.isReveal()) {
+          const nameHash = covenant.getHash(0);
+          const start = covenant.getU32(1);
+          const { prevout } = tx.inputs[i];
+
+          const bid = await this.hdb.getBid(
+            nameHash,
+            start,
+            prevout.hash,
+            prevout.index
           );
+
+          //The name state still moves without the bid row.
+          if (bid) {
+            bid.reveal(txid, i, entry.height, j, output);
+
+            b.put(
+              layout.B.encode(nameHash, start, prevout.hash, prevout.index),
+              bid.encode()
+            );
+          }
         }
 
-        b.put(layout.o.encode(address, txid), util.fromU32(entry.height));
+        if (isOwnerCovenant(covenant)) {
+          const owner = new OwnerRecord(txid, i, entry.height, output.address);
+
+          await setOwner(covenant.getHash(0), owner);
+        }
+
+        if (covenant.isRevoke()) await setOwner(covenant.getHash(0), null);
+
+        const record = await this.getNameRecord(covenant, entry, getName);
+
+        if (record) await moveName(covenant.getHash(0), record);
+
+        if (covenant.isOpen() || covenant.isClaim()) {
+          const name = covenant.get(2).toString("binary");
+          this.hdb.indexNameSearch(b, name, covenant.getHash(0));
+        }
       }
+    }
+
+    if (undo.items.length > 0)
+      b.put(layout.Q.encode(entry.height), undo.encode());
 
-      b.put(layout.t.encode(txid), util.fromU32(entry.height));
+    const changes = undo.items.map(({ nameHash, record }) => ({
+      nameHash,
+      prev: record,
+      record: moved.get(nameHash.toString("hex"))
+    }));
+
+    this.hdb.updateNameEvents(b, changes);
+
+    await this.hdb.connectNameCounts(b, entry.height, changes);
+  }
+
+  /**
+   * Get where a covenant moves its name in the state index. Opens and
+   * claims (re)start a name, revokes end it. Names stay at the height
+   * their auction or claim started, and expire once their renewal
+   * window passes. Auctions nobody revealed in expire when they close.
+   * Transfers are tracked until they are finalized or cancelled.
+   * @private
+   * @param {Covenant} covenant
+   * @param {ChainEntry} entry
+   * @param {Function} getName - Returns the current record of a name.
+   * @returns {Promise} - Returns {@link NameIndexRecord} or null.
+   */
+
+  async getNameRecord(covenant, entry, getName) {
+    const { height } = entry;
+    const {
+      treeInterval,
+      biddingPeriod,
+      revealPeriod,
+      auctionMaturity
+    } = this.network.names;
+
+    if (covenant.isOpen()) {
+      const record = new NameIndexRecord(nameKinds.AUCTION, height);
+      record.expires = height + treeInterval + 1 + biddingPeriod + revealPeriod;
+      return record;
     }
 
-    await b.write();
+    if (covenant.isClaim()) {
+      const record = new NameIndexRecord(nameKinds.CLAIM, height);
+      record.expires = this.getExpiry(record, height);
+      return record;
+    }
 
-    return;
+    if (covenant.isRevoke()) {
+      const start = covenant.getU32(1);
+      const record = new NameIndexRecord(nameKinds.REVOKED, start);
+      record.expires = height + auctionMaturity;
+      return record;
+    }
+
+    const moves =
+      covenant.isReveal() ||
+      covenant.isRegister() ||
+      covenant.isUpdate() ||
+      covenant.isRenew() ||
+      covenant.isTransfer() ||
+      covenant.isFinalize();
+
+    if (!moves) return null;
+
+    const current = await getName(covenant.getHash(0));
+
+    if (!current) return null;
+
+    const record = current.clone();
+
+    //The first reveal gives the auction an owner, renewed at its start.
+    if (covenant.isReveal()) {
+      record.expires = this.getExpiry(record, record.height);
+      return record;
+    }
+
+    if (covenant.isTransfer()) {
+      record.transfer = height;
+      return record;
+    }
+
+    record.transfer = 0;
+
+    if (covenant.isUpdate()) return record;
+
+    if (covenant.isRegister()) record.registered = true;
+
+    record.expires = this.getExpiry(record, height);
+
+    return record;
   }
+
+  /**
+   * Get the height a name renewed at a height expires at.
+   * @private
+   * @param {NameIndexRecord} record
+   * @param {Number} renewal
+   * @returns {Number}
+   */
+
+  getExpiry(record, renewal) {
+    const { renewalWindow, claimPeriod, noReserved } = this.network.names;
+
+    //Claimed names can't expire while they are still claimable.
+    if (record.kind === nameKinds.CLAIM && !noReserved)
+      return Math.max(renewal + renewalWindow, claimPeriod);
+
+    return renewal + renewalWindow;
+  }
+
+  /**
+   * Remove the name covenant indexes of a block.
+   * @private
+   * @param (Batch) b
+   * @param (ChainEntry) entry
+   * @param (Block) block
+   * @param (CoinView) view
+   */
+
+  async unindexNames(b, entry, block, view) {
+    const undo = await this.hdb.getNameUndo(entry.height);
+
+    const changes = [];
+    //Names this block added to the index.
+    const created = new Set();
+
+    for (const { nameHash, record } of undo.items) {
+      const current = await this.hdb.getNameIndex(nameHash);
+
+      if (!record) created.add(nameHash.toString("hex"));
+
+      changes.push({ nameHash, prev: current, record });
+
+      if (current)
+        b.del(layout.m.encode(current.kind, current.height, nameHash));
+
+      if (record) {
+        b.put(layout.m.encode(record.kind, record.height, nameHash), null);
+        b.put(layout.q.encode(nameHash), record.encode());
+      } else {
+        b.del(layout.q.encode(nameHash));
+      }
+    }
+
+    b.del(layout.Q.encode(entry.height));
+
+    this.hdb.updateNameEvents(b, changes);
+
+    await this.hdb.disconnectNameCounts(b, entry.height, changes);
+
+    for (let j = block.txs.length - 1; j >= 0; j--) {
+      const tx = block.txs[j];
+      const txid = tx.hash();
+
+      for (let i = tx.outputs.length - 1; i >= 0; i--) {
+        const { covenant, address } = tx.outputs[i];
+
+        //Walking backwards, the owner is restored to the output
+        //this covenant spent. Registers and claims had none.
+        if (isOwnerCovenant(covenant) || covenant.isRevoke()) {
+          const nameHash = covenant.getHash(0);
+
+          if (!covenant.isRevoke()) {
+            b.del(layout.W.encode(address.getHash(), nameHash));
+            b.del(layout.w.encode(nameHash));
+          }
+
+          if (!covenant.isRegister() && !covenant.isClaim()) {
+            const { prevout } = tx.inputs[i];
+            const coin = view.getEntry(prevout);
+
+            if (coin) {
+              const owner = new OwnerRecord(
+                prevout.hash,
+                prevout.index,
+                coin.height,
+                coin.output.address
+              );
+
+              b.put(layout.w.encode(nameHash), owner.encode());
+              b.put(layout.W.encode(owner.address.getHash(), nameHash), null);
+            }
+          }
+        }
+
+        if (covenant.isOpen() || covenant.isClaim()) {
+          const nameHash = covenant.getHash(0);
+          const name = covenant.get(2).toString("binary");
+
+          if (created.has(nameHash.toString("hex")))
+            this.hdb.unindexNameSearch(b, name, nameHash);
+        }
+
+        if (covenant.isBid()) {
+          b.del(
+            layout.B.encode(covenant.getHash(0), covenant.getU32(1), txid, i)
+          );
+        }
+
+        if (covenant.isReveal()) {
+          const nameHash = covenant.getHash(0);
+          const start = covenant.getU32(1);
+          const { prevout } = tx.inputs[i];
+
+          const bid = await this.hdb.getBid(
+            nameHash,
+            start,
+            prevout.hash,
+            prevout.index
+          );
+
+          if (!bid) continue;
+
+          bid.unreveal();
+
+          b.put(
+            layout.B.encode(nameHash, start, prevout.hash, prevout.index),
+            bid.encode()
+          );
+        }
+      }
+    }
+  }
+
+  /**
+   * Move an address to its new balance in the rich list.
+   * Empty addresses are left out.
+   * @private
+   * @param (Batch) b
+   * @param (Buffer) hash - Address hash.
+   * @param (Number) before - Previous balance.
+   * @param (Number) after - New balance.
+   * @returns {Number} - The change in addresses holding a balance.
+   */
+
+  updateRichList(b, hash, before, after) {
+    let change = 0;
+
+    if (before === after) return change;
+
+    if (before > 0) {
+      b.del(layout.r.encode(...util.splitU64(before), hash));
+      change -= 1;
+    }
+
+    if (after > 0) {
+      b.put(layout.r.encode(...util.splitU64(after), hash), null);
+      change += 1;
+    }
+
+    return change;
+  }
+
+  /**
+   * Apply the change in the transaction counts of names.
+   * @private
+   * @param (Batch) b
+   * @param (Map) names - name hash (hex) -> {nameHash, txs}
+   * @returns {Promise}
+   */
+
+  async updateNameTXCounts(b, names) {
+    for (const { nameHash, txs } of names.values()) {
+      const count = (await this.hdb.getNameTXCount(nameHash)) + txs;
+
+      if (count > 0) b.put(layout.E.encode(nameHash), util.fromU32(count));
+      else b.del(layout.E.encode(nameHash));
+    }
+  }
+
+  /**
+   * Sum up what each address received and sent in a block.
+   * @private
+   * @param (Block) block
+   * @param (CoinView) view
+   * @returns {Map} - address hash (hex) -> {hash, received, sent, txs, utxos}
+   */
+
+  getAddressDeltas(block, view) {
+    const deltas = new Map();
+
+    const get = hash => {
+      const key = hash.toString("hex");
+      let delta = deltas.get(key);
+
+      if (!delta) {
+        delta = { hash, received: 0, sent: 0, txs: 0, utxos: 0 };
+        deltas.set(key, delta);
+      }
+
+      return delta;
+    };
+
+    for (const tx of block.txs) {
+      const touched = new Set();
+
+      for (const input of tx.inputs) {
+        if (input.isCoinbase()) continue;
+
+        const coin = view.getOutput(input.prevout);
+
+        if (!coin) continue;
+
+        const delta = get(coin.address.getHash());
+        delta.sent += coin.value;
+        delta.utxos -= 1;
+        touched.add(delta);
+      }
+
+      for (const output of tx.outputs) {
+        const delta = get(output.address.getHash());
+        delta.received += output.value;
+        if (!output.isUnspendable()) delta.utxos += 1;
+        touched.add(delta);
+      }
+
+      for (const delta of touched) delta.txs += 1;
+    }
+
+    return deltas;
+  }
+}
+
+/*
+ * Helpers
+ */
+
+//Hashes of the addresses a tx pays or spends from.
+function getTXAddresses(tx, view) {
+  const hashes = new Map();
+
+  for (const input of tx.inputs) {
+    if (input.isCoinbase()) continue;
+
+    const coin = view.getOutput(input.prevout);
+
+    if (!coin) continue;
+
+    const hash = coin.address.getHash();
+    hashes.set(hash.toString("hex"), hash);
+  }
+
+  for (const output of tx.outputs) {
+    const hash = output.address.getHash();
+    hashes.set(hash.toString("hex"), hash);
+  }
+
+  return hashes.values();
+}
+
+//Hashes of the names a tx has covenants for.
+function getTXNames(tx) {
+  const hashes = new Map();
+
+  for (const { covenant } of tx.outputs) {
+    if (!covenant.isName()) continue;
+
+    const nameHash = covenant.getHash(0);
+    hashes.set(nameHash.toString("hex"), nameHash);
+  }
+
+  return hashes.values();
+}
+
+//Add to the change in a name's transaction count.
+function countName(names, nameHash, txs) {
+  const key = nameHash.toString("hex");
+
+  if (!names.has(key)) names.set(key, { nameHash, txs: 0 });
+
+  names.get(key).txs += txs;
+}
+
+//Covenants that move a name to a new owner output.
+function isOwnerCovenant(covenant) {
+  return (
+    covenant.isClaim() ||
+    covenant.isRegister() ||
+    covenant.isUpdate() ||
+    covenant.isRenew() ||
+    covenant.isTransfer() ||
+    covenant.isFinalize()
+  );
 }
 
 class IndexerOptions {
@@ -429,6 +1466,7 @@ class IndexerOptions {
     this.logger = Logger.global;
     this.client = null;
     this.chain = null;
+    this.webhooks = null;
     this.prefix = null;
     this.location = null;
     this.memory = true;
@@ -476,6 +1514,11 @@ class IndexerOptions {
       this.hnscan = options.hnscan;
     }
 
+    if (options.webhooks != null) {
+      assert(typeof options.webhooks === "object");
+      this.webhooks = options.webhooks;
+    }
+
     if (options.prefix != null) {
       assert(typeof options.prefix === "string");
       this.prefix = options.prefix;
@@ -16,22 +16,121 @@ const bdb = require("bdb");
  *  O -> flags
  *  H -> Last Sync Height
  *
- *  Transactions Output's Index
+ *  Indexed Block Hashes
+ *  b[height] -> block hash
+ *
+ *  Transactions Output's Index (Deprecated, removed by the v2 migration)
  *  o[SHA256(hash)(:8)] -> [txid(:8)]
  *  Code: o, Address Hash Prefix: hash(:8) -> Funding TxID Prefix: txid[:8]
  *
- *  Transactions Input Index
+ *  Address Output Index
+ *  a[hash][txid][uint32] -> [uint64][uint32][uint8]
+ *  Code: a, Address Hash: hash, Funding TxID: txid, Output Index: uint32 -> Value, Height, Covenant Type
+ *
+ *  Transactions Input Index (Deprecated, removed by the v1 migration)
  *  i[txid(:8)][uint16][txid(:8)] -> Transaction inputs row.
  *  Code: i, Funding TxID Prefix: txid(8), Funding Output Index: uint, Spending TxID Prefix: txid(8)
  *
+ *  Spent Outpoint Index
+ *  p[txid][uint32] -> [txid][uint32][uint32]
+ *  Code: p, Funding TxID: txid, Funding Output Index: uint32 -> Spending TxID, Input Index, Height
+ *
+ *  Address Unspent Outputs
+ *  u[hash][uint32][txid][uint32] -> [uint64][uint8][uint8]
+ *  Code: u, Address Hash: hash, Height: uint32, Funding TxID: txid, Output Index: uint32 -> Value, Covenant Type, Coinbase
+ *
+ *  Address Transactions
+ *  T[hash][uint32][uint32] -> txid
+ *  Code: T, Address Hash: hash, Height: uint32, Position in the Block: uint32 -> TxID
+ *
+ *  Address Balances and Stats
+ *  A[hash] -> address record
+ *  Code: A, Address Hash: hash -> Balance, Received, Sent, TX Count, First Seen, Last Seen, Unspent Count
+ *
+ *  Address Undo
+ *  U[uint32] -> address undo
+ *  Code: U, Height: uint32 -> Previous Last Seen of each Address the Block Touched
+ *
+ *  Rich List
+ *  r[uint32][uint32][hash] -> dummy
+ *  Code: r, Balance High: uint32, Balance Low: uint32, Address Hash: hash
+ *
  *  Full Transaction IDs
- *  t[txid][uint32]
+ *  t[txid] -> [uint32][uint32]
+ *  Code: t, TxID: txid -> Height, Position in the Block
+ *
+ *  NameHash Transaction Index (Deprecated, removed by the v17 migration)
+ *  n[hash][txid] -> [uint32]
+ *  Code: n, Name Hash: hash, TxID: txid -> Height
+ *
+ *  Name Transactions
+ *  e[hash256][uint32][uint32] -> txid
+ *  Code: e, Name Hash: hash256, Height: uint32, Position in the Block: uint32 -> TxID
+ *
+ *  Name Transaction Counts
+ *  E[hash256] -> uint32
+ *  Code: E, Name Hash: hash256 -> Transactions
+ *
+ *  Auction Bids
+ *  B[hash256][uint32][txid][uint32] -> bid record
+ *  Code: B, Name Hash: hash256, Auction Start: uint32, Bid TxID: txid, Bid Output Index: uint32 -> Bid and Reveal
+ *
+ *  Name Owners
+ *  w[hash256] -> owner record
+ *  Code: w, Name Hash: hash256 -> Owner TxID, Output Index, Height, Address
+ *
+ *  Names by Owner Address
+ *  W[hash][hash256] -> dummy
+ *  Code: W, Address Hash: hash, Name Hash: hash256
+ *
+ *  Names by State
+ *  m[uint8][uint32][hash256] -> dummy
+ *  Code: m, Kind (Auction, Claim, Revoked): uint8, Auction Start or Claim Height: uint32, Name Hash: hash256
+ *
+ *  Name State Index Entries
+ *  q[hash256] -> name index record
+ *  Code: q, Name Hash: hash256 -> Kind, Height
+ *
+ *  Name State Index Undo
+ *  Q[uint32] -> name undo
+ *  Code: Q, Height: uint32 -> Previous Kind and Height of each Name the Block Moved
+ *
+ *  Name Starts
+ *  k[uint8][uint32] -> uint32
+ *  Code: k, Kind: uint8, Auction Start or Claim Height: uint32 -> Names
+ *
+ *  Name Expiries
+ *  x[uint32] -> [uint32][uint32]
+ *  Code: x, Expiry Height: uint32 -> Names, Registered Names
+ *
+ *  K -> Name counts
+ *
+ *  Upcoming Name Events
+ *  v[uint32][uint8][hash256] -> dummy
+ *  Code: v, Height: uint32, Event (Bidding, Reveal, Closed, Transfer, Expired): uint8, Name Hash: hash256
+ *
+ *  Name Search Trigrams
+ *  g[uint32][hash256] -> name
+ *  Code: g, Trigram of ^name$: uint32, Name Hash: hash256 -> Name
+ *
+ *  Webhook Watches
+ *  l[uint8][hash] -> watch record
+ *  Code: l, Type (Address, Name): uint8, Address Hash or Name Hash: hash -> Target, Height, Last State
+ *
+ *  Block Chart Points
+ *  c[uint32][uint32] -> chart point
+ *  Code: c, Block Time: uint32, Height: uint32 -> Metric Values
  *
- *  NameHash Transaction Index
+ *  Hourly Chart Buckets
+ *  C[hour_timestamp] -> chart data
+ *  Code: C, Start of the UTC Hour: uint32 -> Blocks, Last Height, Metric Sum/Min/Max/Last
  *
+ *  Daily Chart Buckets
+ *  d[day_timestamp] -> chart data
+ *  Code: d, UTC Midnight: uint32 -> Blocks, Last Height, Metric Sum/Min/Max/Last
  *
- *  Block Difficulty Historical Data
- *  d[block_timestamp] -> hash rate
+ *  R -> Chart rebuild pending
+ *  N -> Name index rebuild pending
  *
  */
 
@@ -39,11 +138,37 @@ const layout = {
   V: bdb.key("V"),
   O: bdb.key("O"),
   H: bdb.key("H"),
+  R: bdb.key("R"),
+  N: bdb.key("N"),
+  K: bdb.key("K"),
   h: bdb.key("h", ["uint32"]),
+  b: bdb.key("b", ["uint32"]),
   o: bdb.key("o", ["hash", "hash"]),
+  a: bdb.key("a", ["hash", "hash256", "uint32"]),
+  A: bdb.key("A", ["hash"]),
+  U: bdb.key("U", ["uint32"]),
+  r: bdb.key("r", ["uint32", "uint32", "hash"]),
+  u: bdb.key("u", ["hash", "uint32", "hash256", "uint32"]),
+  T: bdb.key("T", ["hash", "uint32", "uint32"]),
   i: bdb.key("i", ["hash", "uint32"]),
+  p: bdb.key("p", ["hash256", "uint32"]),
   t: bdb.key("t", ["hash"]),
   n: bdb.key("n", ["hash", "hash"]),
+  e: bdb.key("e", ["hash256", "uint32", "uint32"]),
+  E: bdb.key("E", ["hash256"]),
+  B: bdb.key("B", ["hash256", "uint32", "hash256", "uint32"]),
+  w: bdb.key("w", ["hash256"]),
+  W: bdb.key("W", ["hash", "hash256"]),
+  m: bdb.key("m", ["uint8", "uint32", "hash256"]),
+  q: bdb.key("q", ["hash256"]),
+  Q: bdb.key("Q", ["uint32"]),
+  k: bdb.key("k", ["uint8", "uint32"]),
+  x: bdb.key("x", ["uint32"]),
+  v: bdb.key("v", ["uint32", "uint8", "hash256"]),
+  g: bdb.key("g", ["uint32", "hash256"]),
+  l: bdb.key("l", ["uint8", "hash"]),
+  c: bdb.key("c", ["uint32", "uint32"]),
+  C: bdb.key("C", ["uint32"]),
   d: bdb.key("d", ["uint32"]),
   s: bdb.key("s")
 };
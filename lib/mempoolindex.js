@@ -0,0 +1,260 @@
+/*!
+ * mempoolindex.js - mempool address index for hnscan
+ * Copyright (c) 2018-2019, Handshake Alliance Developers (MIT License).
+ * https://github.com/handshakealliance/hnscan-backend
+ */
+
+"use strict";
+
+const assert = require("bsert");
+const util = require("./util");
+
+/**
+ * Mempool Index
+ * Tracks what unconfirmed transactions pay to and spend from
+ * each address, following the mempool's add and remove events.
+ * The mempool is wiped on a chain reset without remove events,
+ * so the index is pruned then.
+ * @alias module:hnscan.MempoolIndex
+ */
+
+class MempoolIndex {
+  /**
+   * Create a mempool index.
+   * @constructor
+   * @param {Mempool} mempool
+   */
+
+  constructor(mempool) {
+    assert(mempool, "MempoolIndex requires a mempool.");
+
+    this.mempool = mempool;
+
+    //txid -> {tx, time, outputs, inputs}
+    this.txs = new Map();
+    //address hash -> Set of txids
+    this.addrs = new Map();
+
+    this.init();
+  }
+
+  /**
+   * Initialize the index.
+   */
+
+  init() {
+    this.mempool.on("tx", (tx, view) => this.addTX(tx, view));
+
+    this.mempool.on("remove entry", entry => this.removeTX(entry.tx));
+
+    //Runs after the node has reset the mempool.
+    this.mempool.chain.on("reset", () => this.prune());
+  }
+
+  /**
+   * Index the transactions already in the mempool,
+   * such as those loaded from disk.
+   * @returns {Promise}
+   */
+
+  async open() {
+    for (const entry of this.mempool.map.values()) {
+      const view = await this.mempool.getCoinView(entry.tx);
+      this.addTX(entry.tx, view, entry.time);
+    }
+  }
+
+  /**
+   * Index a transaction added to the mempool.
+   * @param {TX} tx
+   * @param {CoinView} view - Coins the transaction spends.
+   * @param {Number?} time - When it entered the mempool.
+   */
+
+  addTX(tx, view, time = util.now()) {
+    const txid = tx.hash();
+    const key = txid.toString("hex");
+
+    if (this.txs.has(key)) return;
+
+    const outputs = [];
+    const inputs = [];
+
+    for (let i = 0; i < tx.outputs.length; i++) {
+      const { address, value, covenant } = tx.outputs[i];
+      outputs.push({ hash: address.getHash(), index: i, value, covenant });
+    }
+
+    for (let i = 0; i < tx.inputs.length; i++) {
+      const { prevout } = tx.inputs[i];
+      const coin = view.getOutput(prevout);
+
+      if (!coin) continue;
+
+      inputs.push({
+        hash: coin.address.getHash(),
+        index: i,
+        prevout,
+        value: coin.value
+      });
+    }
+
+    this.txs.set(key, { tx, time, outputs, inputs });
+
+    for (const { hash } of [...outputs, ...inputs]) {
+      const addr = hash.toString("hex");
+
+      if (!this.addrs.has(addr)) this.addrs.set(addr, new Set());
+
+      this.addrs.get(addr).add(key);
+    }
+  }
+
+  /**
+   * Remove a transaction that left the mempool.
+   * @param {TX} tx
+   */
+
+  removeTX(tx) {
+    const key = tx.hash().toString("hex");
+    const item = this.txs.get(key);
+
+    if (!item) return;
+
+    this.txs.delete(key);
+
+    for (const { hash } of [...item.outputs, ...item.inputs]) {
+      const addr = hash.toString("hex");
+      const txids = this.addrs.get(addr);
+
+      if (!txids) continue;
+
+      txids.delete(key);
+
+      if (txids.size === 0) this.addrs.delete(addr);
+    }
+  }
+
+  /**
+   * Remove the transactions the mempool dropped without an event.
+   */
+
+  prune() {
+    for (const { tx } of this.txs.values()) {
+      if (!this.mempool.hasEntry(tx.hash())) this.removeTX(tx);
+    }
+  }
+
+  /**
+   * Get the indexed transactions of an address, oldest first.
+   * Transactions the mempool dropped without an event are removed.
+   * @param {Buffer} hash - Address hash.
+   * @returns {Object[]} - Returns [{tx, time, outputs, inputs}].
+   */
+
+  getItems(hash) {
+    const txids = this.addrs.get(hash.toString("hex"));
+
+    if (!txids) return [];
+
+    const items = [];
+    const stale = [];
+
+    for (const key of txids) {
+      const item = this.txs.get(key);
+
+      if (!this.mempool.hasEntry(item.tx.hash())) {
+        stale.push(item.tx);
+        continue;
+      }
+
+      items.push(item);
+    }
+
+    for (const tx of stale) this.removeTX(tx);
+
+    return items.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Get the unconfirmed transactions of an address, with what
+   * each of them pays to and spends from it.
+   * @param {Buffer} hash - Address hash.
+   * @returns {Object[]} - Returns [{tx, time, received, sent}].
+   */
+
+  getTXs(hash) {
+    return this.getItems(hash).map(item => {
+      let received = 0;
+      let sent = 0;
+
+      for (const output of item.outputs)
+        if (output.hash.equals(hash)) received += output.value;
+
+      for (const input of item.inputs)
+        if (input.hash.equals(hash)) sent += input.value;
+
+      return { tx: item.tx, time: item.time, received, sent };
+    });
+  }
+
+  /**
+   * Get the unconfirmed outputs paying to an address, in the shape
+   * of HnscanDB's address funding.
+   * @param {Buffer} hash - Address hash.
+   * @returns {Object[]}
+   */
+
+  getFunding(hash) {
+    const funding = [];
+
+    for (const { tx, outputs } of this.getItems(hash)) {
+      for (const output of outputs) {
+        if (!output.hash.equals(hash)) continue;
+
+        funding.push({
+          tx_hash: tx.txid(),
+          height: -1,
+          output_index: output.index,
+          value: output.value,
+          covenant: output.covenant.type
+        });
+      }
+    }
+
+    return funding;
+  }
+
+  /**
+   * Get the unconfirmed inputs spending from an address, in the shape
+   * of HnscanDB's address spends.
+   * @param {Buffer} hash - Address hash.
+   * @returns {Object[]}
+   */
+
+  getSpent(hash) {
+    const spents = [];
+
+    for (const { tx, inputs } of this.getItems(hash)) {
+      for (const input of inputs) {
+        if (!input.hash.equals(hash)) continue;
+
+        spents.push({
+          tx_hash: tx.txid(),
+          height: -1,
+          input_index: input.index,
+          funding_output: [input.prevout.txid(), input.prevout.index],
+          value: input.value
+        });
+      }
+    }
+
+    return spents;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = MempoolIndex;
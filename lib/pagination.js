@@ -0,0 +1,178 @@
+/*!
+ * pagination.js - cursor pagination for hnscan
+ * Copyright (c) 2018-2019, Handshake Alliance Developers (MIT License).
+ * https://github.com/handshakealliance/hnscan-backend
+ */
+
+"use strict";
+
+const assert = require("bsert");
+
+/**
+ * @exports pagination
+ */
+
+const pagination = exports;
+
+/**
+ * Longest key a cursor can hold.
+ */
+
+pagination.MAX_KEY_SIZE = 128;
+
+/**
+ * Encode a cursor, the key of the item a page starts after, or
+ * ends before when paging back. Keys are compared as bytes, so
+ * positions stay put when items are added around them.
+ * @param {Boolean} reverse - Page back from the key.
+ * @param {Buffer} key
+ * @returns {String}
+ */
+
+pagination.encodeCursor = function encodeCursor(reverse, key) {
+  assert(Buffer.isBuffer(key));
+  assert(key.length <= pagination.MAX_KEY_SIZE);
+
+  return Buffer.concat([Buffer.from([reverse ? 1 : 0]), key]).toString("hex");
+};
+
+/**
+ * Decode a cursor.
+ * @param {String} cursor
+ * @returns {Object} - Returns {reverse, key}.
+ * @throws {Error} - With a 400 status code, if the cursor is invalid.
+ */
+
+pagination.decodeCursor = function decodeCursor(cursor) {
+  const max = (pagination.MAX_KEY_SIZE + 1) * 2;
+
+  if (
+    typeof cursor !== "string" ||
+    cursor.length < 2 ||
+    cursor.length > max ||
+    cursor.length % 2 !== 0 ||
+    !/^[0-9a-f]+$/.test(cursor)
+  ) {
+    throw invalidCursor();
+  }
+
+  const data = Buffer.from(cursor, "hex");
+
+  if (data[0] > 1) throw invalidCursor();
+
+  return { reverse: data[0] === 1, key: data.slice(1) };
+};
+
+/**
+ * Get a page of a list.
+ * @param {Function} fetch - fetch(key, reverse, limit) resolves up to
+ * limit items after the key in list order, from the start if the key is
+ * null, or if reverse, the items before the key, nearest first.
+ * @param {Function} getKey - Returns the key of an item.
+ * @param {Object?} cursor - Decoded cursor.
+ * @param {Number} limit
+ * @param {(Number|Number[])?} size - Key sizes of the list, if fixed.
+ * @returns {Promise} - Returns {items, next, prev}.
+ */
+
+pagination.getPage = async function getPage(
+  fetch,
+  getKey,
+  cursor,
+  limit,
+  size
+) {
+  const reverse = cursor ? cursor.reverse : false;
+  const key = cursor ? cursor.key : null;
+
+  if (key && size != null && ![].concat(size).includes(key.length))
+    throw invalidCursor();
+
+  //One more than the page tells whether there is another one.
+  const items = await fetch(key, reverse, limit + 1);
+  const more = items.length > limit;
+  const page = items.slice(0, limit);
+
+  if (reverse) page.reverse();
+
+  if (page.length === 0) return { items: page, next: null, prev: null };
+
+  const first = getKey(page[0]);
+  const last = getKey(page[page.length - 1]);
+
+  let hasNext = more;
+  let hasPrev = more;
+
+  if (reverse) hasNext = (await fetch(last, false, 1)).length > 0;
+  else hasPrev = key != null && (await fetch(first, true, 1)).length > 0;
+
+  return {
+    items: page,
+    next: hasNext ? pagination.encodeCursor(false, last) : null,
+    prev: hasPrev ? pagination.encodeCursor(true, first) : null
+  };
+};
+
+/**
+ * Create a fetch function for a list held in memory.
+ * @param {Array} items - Sorted by key.
+ * @param {Function} getKey - Returns the key of an item.
+ * @param {Boolean} desc - Items are sorted by descending key.
+ * @returns {Function}
+ */
+
+pagination.fromList = function fromList(items, getKey, desc = false) {
+  const order = desc ? -1 : 1;
+
+  //Index of the first item ordered after the key, or at it if inclusive.
+  const search = (key, inclusive) => {
+    let start = 0;
+    let end = items.length;
+
+    while (start < end) {
+      const mid = (start + end) >>> 1;
+      const cmp = order * getKey(items[mid]).compare(key);
+
+      if (cmp > 0 || (inclusive && cmp === 0)) end = mid;
+      else start = mid + 1;
+    }
+
+    return start;
+  };
+
+  return async (key, reverse, limit) => {
+    if (!reverse) {
+      const start = key ? search(key, false) : 0;
+      return items.slice(start, start + limit);
+    }
+
+    const end = search(key, true);
+
+    return items.slice(Math.max(0, end - limit), end).reverse();
+  };
+};
+
+/**
+ * Write numbers into a key, as big endian uint32s so keys
+ * sort like the numbers do.
+ * @param {...Number|Buffer} fields
+ * @returns {Buffer}
+ */
+
+pagination.toKey = function toKey(...fields) {
+  const chunks = fields.map(field => {
+    if (Buffer.isBuffer(field)) return field;
+
+    const data = Buffer.alloc(4);
+    data.writeUInt32BE(field, 0);
+    return data;
+  });
+
+  return Buffer.concat(chunks);
+};
+
+function invalidCursor() {
+  const err = new Error("Invalid cursor.");
+  err.statusCode = 400;
+  return err;
+}
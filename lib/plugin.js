@@ -9,6 +9,8 @@
 
 const EventEmitter = require("events");
 const ChainClient = require("./chainclient");
+const MempoolIndex = require("./mempoolindex");
+const Webhooks = require("./webhooks");
 const HnscanDB = require("./hnscandb.js");
 const Indexer = require("./indexer.js");
 const HTTP = require("./http");
@@ -38,8 +40,23 @@ class Plugin extends EventEmitter {
     this.prefix = node.config.prefix;
 
     this.client = new ChainClient(node.chain);
+    this.mempool = node.mempool ? new MempoolIndex(node.mempool) : null;
 
     this.httpEnabled = this.config.bool("http-enabled", true);
+    this.rebuildCharts = this.config.bool("rebuild-charts", false);
+
+    this.webhooks = null;
+
+    if (this.config.str("webhook-url")) {
+      this.webhooks = new Webhooks({
+        network: this.network,
+        logger: this.logger,
+        url: this.config.str("webhook-url"),
+        secret: this.config.str("webhook-secret"),
+        retries: this.config.uint("webhook-retries"),
+        backoff: this.config.uint("webhook-backoff")
+      });
+    }
 
     console.log("connecting to: %s", node.network);
 
@@ -48,6 +65,7 @@ class Plugin extends EventEmitter {
       network: this.network,
       logger: this.logger,
       client: this.client,
+      mempool: this.mempool,
       memory: this.config.bool("memory", node.memory),
       prefix: this.prefix,
       maxFiles: this.config.uint("max-files"),
@@ -70,7 +88,8 @@ class Plugin extends EventEmitter {
       client: this.client,
       chain: node.chain,
       hdb: this.hdb,
-      hnscan: this.hnscan
+      hnscan: this.hnscan,
+      webhooks: this.webhooks
     });
 
     this.http = new HTTP({
@@ -80,6 +99,7 @@ class Plugin extends EventEmitter {
       client: this.client,
       node: node,
       hnscan: this.hnscan,
+      indexer: this.indexer,
       // prefix: this.prefix,
       ssl: this.config.bool("ssl"),
       keyFile: this.config.path("ssl-key"),
@@ -102,15 +122,28 @@ class Plugin extends EventEmitter {
 
   //Going to open the http server here and the database
   async open() {
+    if (this.mempool) await this.mempool.open();
+
     await this.hdb.open();
 
+    //Charts are rebuilt once the indexer has synced.
+    if (this.rebuildCharts) await this.hdb.requestChartRebuild();
+
     await this.indexer.open();
 
     await this.http.open();
   }
 
   //Close the db and the http server.
-  async close() {}
+  async close() {
+    await this.http.close();
+
+    await this.indexer.close();
+
+    if (this.webhooks) this.webhooks.close();
+
+    await this.hdb.close();
+  }
 }
 
 /**
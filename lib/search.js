@@ -0,0 +1,119 @@
+/*!
+ * search.js - name search matching for hnscan
+ * Copyright (c) 2018-2019, Handshake Alliance Developers (MIT License).
+ * https://github.com/handshakealliance/hnscan-backend
+ */
+
+"use strict";
+
+/**
+ * @exports search
+ */
+
+const search = exports;
+
+/**
+ * Match types, best first.
+ */
+
+search.matches = ["exact", "prefix", "substring", "fuzzy"];
+
+/**
+ * Name states, in the order matches of the same type are ranked.
+ */
+
+search.states = [
+  "CLOSED",
+  "LOCKED",
+  "REVEAL",
+  "BIDDING",
+  "OPENING",
+  "REVOKED",
+  "INACTIVE"
+];
+
+/**
+ * Get the trigrams of a name, anchored at its start and end, packed
+ * into numbers. Names are ascii, so each character is one byte.
+ * @param {String} name
+ * @returns {Number[]}
+ */
+
+search.getGrams = function getGrams(name) {
+  const padded = `^${name}$`;
+  const grams = new Set();
+
+  for (let i = 0; i + 3 <= padded.length; i++) grams.add(packGram(padded, i));
+
+  return [...grams];
+};
+
+/**
+ * Get the range of trigrams starting with a name's first character,
+ * for names too short to have a trigram of their own.
+ * @param {String} name
+ * @returns {Number[]} - Returns [min, max].
+ */
+
+search.getStartRange = function getStartRange(name) {
+  const min = packGram(`^${name[0]}\x00`, 0);
+  return [min, min + 0xff];
+};
+
+/**
+ * Match a name against a query.
+ * @param {String} query
+ * @param {String} name
+ * @returns {Object|null} - Returns {match, distance}.
+ */
+
+search.match = function match(query, name) {
+  if (name === query) return { match: "exact", distance: 0 };
+
+  const distance = search.distance(query, name);
+
+  if (name.startsWith(query)) return { match: "prefix", distance };
+
+  if (name.includes(query)) return { match: "substring", distance };
+
+  //Short queries are one edit away from too many names.
+  const max = query.length <= 4 ? 1 : 2;
+
+  if (distance <= max) return { match: "fuzzy", distance };
+
+  return null;
+};
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+
+search.distance = function distance(a, b) {
+  let prev = [];
+
+  for (let j = 0; j <= b.length; j++) prev.push(j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row.push(Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost));
+    }
+
+    prev = row;
+  }
+
+  return prev[b.length];
+};
+
+function packGram(str, i) {
+  return (
+    (str.charCodeAt(i) << 16) |
+    (str.charCodeAt(i + 1) << 8) |
+    str.charCodeAt(i + 2)
+  );
+}
@@ -2,93 +2,192 @@ const bio = require("bufio");
 const util = require("./util");
 const consensus = require("hsd/lib/protocol/consensus");
 const assert = require("bsert");
+const { types } = require("hsd/lib/covenants/rules");
+const charts = require("./charts");
+const Address = require("hsd/lib/primitives/address");
 
-//Create a constructor that sets all of the data, and then we can call that in the indexer.
-//
-//
-//Chart data currently available.
-//1. Average Daily difficulty.
-//2. Transactions per Day.
-//3. Total supply per day.
-//4. Total burned
-class ChartData extends bio.Struct {
-  //move this to from blockData, and then make the contrustor empty
-  constructor(entry, block, chainState) {
+//Chart data is kept at three levels, see charts.js for the metrics.
+//1. A ChartPoint per block, holding each metric's value.
+//2. Hourly ChartData buckets.
+//3. Daily ChartData buckets, weeks and months are merged from these.
+
+class ChartPoint extends bio.Struct {
+  constructor() {
     super();
-    //Time of data.
+    //Time and height are part of the key.
     this.time = 0;
-    //Double
-    this.difficulty = 0;
-    this.transactions = 0;
-    this.supply = 0;
-    this.burned = 0;
-    this.totalTx = 0;
+    this.height = 0;
+    //Doubles, in the order of charts.metrics.
+    this.values = [];
   }
 
-  fromBlockData(entry, block, chainState) {
-    this.time = entry.time || 0;
-    //Double
-    this.difficulty = util.toDifficulty(entry.bits) || 0;
-    this.transactions = block.txs.length || 0;
-    this.supply = chainState.value || 0;
-    this.burned = chainState.burned || 0;
-    this.totalTx = chainState.tx || 0;
+  fromBlock(entry, block, view, chainState, prev) {
+    const ctx = { entry, block, view, state: chainState, prev };
+
+    this.time = entry.time;
+    this.height = entry.height;
+    this.values = charts.stored.map(metric => metric.fromBlock(ctx) || 0);
     return this;
   }
 
+  //A point is its own aggregate.
+  getValue(index) {
+    if (index >= this.values.length) return 0;
+
+    return this.values[index];
+  }
+
+  getSize() {
+    return 1 + this.values.length * 8;
+  }
+
   write(bw) {
-    bw.writeDouble(this.difficulty);
-    bw.writeU32(this.transactions);
-    bw.writeU64(this.supply);
-    bw.writeU64(this.burned);
-    bw.writeU64(this.totalTx);
+    bw.writeU8(this.values.length);
+    for (const value of this.values) bw.writeDouble(value);
     return bw;
   }
 
   read(br) {
+    const count = br.readU8();
+
+    this.values = [];
+
+    for (let i = 0; i < count; i++) this.values.push(br.readDouble());
+
+    return this;
+  }
+
+  static fromBlock(entry, block, view, chainState, prev) {
+    return new this().fromBlock(entry, block, view, chainState, prev);
+  }
+}
+
+class ChartData extends bio.Struct {
+  constructor() {
+    super();
+    //Start of the bucket, part of the key.
     this.time = 0;
-    this.difficulty = br.readDouble();
-    this.transactions = br.readU32();
-    this.supply = br.readU64();
-    this.burned = br.readU64();
-    this.totalTx = br.readU64();
+    this.blocks = 0;
+    //Height of the block `last` was taken from.
+    this.height = 0;
+    //Doubles, in the order of charts.metrics.
+    this.sum = [];
+    this.min = [];
+    this.max = [];
+    this.last = [];
+  }
+
+  //Add a block's point to this bucket.
+  addPoint(point) {
+    const isLast = this.blocks === 0 || point.height >= this.height;
+
+    for (let i = 0; i < point.values.length; i++) {
+      const value = point.values[i];
+
+      if (i >= this.sum.length) {
+        this.sum.push(value);
+        this.min.push(value);
+        this.max.push(value);
+        this.last.push(value);
+        continue;
+      }
+
+      this.sum[i] += value;
+      this.min[i] = Math.min(this.min[i], value);
+      this.max[i] = Math.max(this.max[i], value);
+
+      if (isLast) this.last[i] = value;
+    }
+
+    if (isLast) this.height = point.height;
+
+    this.blocks += 1;
+
     return this;
   }
 
-  fromObject(data) {
-    this.time = data.time || 0;
-    this.difficulty = data.difficulty || 0;
-    this.transactions = data.transactions || 0;
-    this.supply = data.supply || 0;
-    this.burned = data.burned || 0;
-    this.totalTx = data.totalTx || 0;
+  //Merge another bucket into this one.
+  merge(data) {
+    if (data.blocks === 0) return this;
+
+    const isLast = this.blocks === 0 || data.height >= this.height;
+
+    for (let i = 0; i < data.sum.length; i++) {
+      if (i >= this.sum.length) {
+        this.sum.push(data.sum[i]);
+        this.min.push(data.min[i]);
+        this.max.push(data.max[i]);
+        this.last.push(data.last[i]);
+        continue;
+      }
+
+      this.sum[i] += data.sum[i];
+      this.min[i] = Math.min(this.min[i], data.min[i]);
+      this.max[i] = Math.max(this.max[i], data.max[i]);
+
+      if (isLast) this.last[i] = data.last[i];
+    }
+
+    if (isLast) this.height = data.height;
+
+    this.blocks += data.blocks;
+
     return this;
   }
 
-  //creates average chart data from an array of chart data elements.
-  static fromArray(data) {
-    let sums = data.reduce(function(a, b) {
-      return {
-        difficulty: a.difficulty + b.difficulty,
-        transactions: a.transactions + b.transactions,
-        supply: Math.max(a.supply, b.supply),
-        burned: Math.max(a.burned, b.burned),
-        totalTx: Math.max(a.totalTx, b.totalTx)
-      };
-    });
+  //Aggregate a metric's values with one of charts.aggregates.
+  getValue(index, aggregate) {
+    if (this.blocks === 0 || index >= this.sum.length) return 0;
+
+    switch (aggregate) {
+      case "avg":
+        return this.sum[index] / this.blocks;
+      case "sum":
+        return this.sum[index];
+      case "min":
+        return this.min[index];
+      case "max":
+        return this.max[index];
+      case "last":
+        return this.last[index];
+      default:
+        throw new Error(`Unknown aggregate: ${aggregate}.`);
+    }
+  }
+
+  getSize() {
+    return 9 + this.sum.length * 32;
+  }
 
-    //We want average difficulty.
-    sums.difficulty /= data.length;
-    //make the time the UTC midnight of that day.
-    sums.time = Math.floor(data[0].time / (3600 * 24));
+  write(bw) {
+    bw.writeU32(this.blocks);
+    bw.writeU32(this.height);
+    bw.writeU8(this.sum.length);
 
-    //@todo return new this().fromObject(sums);
-    // return sums;
-    return new this().fromObject(sums);
+    for (let i = 0; i < this.sum.length; i++) {
+      bw.writeDouble(this.sum[i]);
+      bw.writeDouble(this.min[i]);
+      bw.writeDouble(this.max[i]);
+      bw.writeDouble(this.last[i]);
+    }
+
+    return bw;
   }
 
-  static fromBlockData(entry, block, state) {
-    return new this().fromBlockData(entry, block, state);
+  read(br) {
+    this.blocks = br.readU32();
+    this.height = br.readU32();
+
+    const count = br.readU8();
+
+    for (let i = 0; i < count; i++) {
+      this.sum.push(br.readDouble());
+      this.min.push(br.readDouble());
+      this.max.push(br.readDouble());
+      this.last.push(br.readDouble());
+    }
+
+    return this;
   }
 }
 
@@ -110,6 +209,8 @@ class ChainState extends bio.Struct {
     this.coin = 0;
     this.value = 0;
     this.burned = 0;
+    //Addresses holding a balance, the size of the rich list.
+    this.addresses = 0;
     this.committed = false;
   }
 
@@ -119,6 +220,7 @@ class ChainState extends bio.Struct {
     this.coin = state.coin;
     this.value = state.value;
     this.burned = state.burned;
+    this.addresses = state.addresses;
     return this;
   }
 
@@ -150,6 +252,87 @@ class ChainState extends bio.Struct {
     this.burned -= coin.value;
   }
 
+  /**
+   * Apply a connected block.
+   * @param {Block} block
+   * @param {CoinView} view
+   */
+
+  connectBlock(block, view) {
+    this.connect(block);
+
+    for (let i = 0; i < block.txs.length; i++) {
+      const tx = block.txs[i];
+
+      if (i > 0) {
+        for (const { prevout } of tx.inputs) {
+          this.spend(view.getOutput(prevout));
+        }
+      }
+
+      for (let i = 0; i < tx.outputs.length; i++) {
+        const output = tx.outputs[i];
+
+        if (output.isUnspendable()) continue;
+
+        // Registers are burned.
+        if (output.covenant.isRegister()) {
+          this.burn(output);
+          continue;
+        }
+
+        if (
+          output.covenant.type >= types.UPDATE &&
+          output.covenant.type <= types.REVOKE
+        ) {
+          continue;
+        }
+
+        this.add(output);
+      }
+    }
+  }
+
+  /**
+   * Revert a disconnected block, mirrors `connectBlock` in reverse order.
+   * @param {Block} block
+   * @param {CoinView} view
+   */
+
+  disconnectBlock(block, view) {
+    this.disconnect(block);
+
+    for (let i = block.txs.length - 1; i >= 0; i--) {
+      const tx = block.txs[i];
+
+      for (let j = tx.outputs.length - 1; j >= 0; j--) {
+        const output = tx.outputs[j];
+
+        if (output.isUnspendable()) continue;
+
+        if (output.covenant.isRegister()) {
+          this.unburn(output);
+          continue;
+        }
+
+        if (
+          output.covenant.type >= types.UPDATE &&
+          output.covenant.type <= types.REVOKE
+        ) {
+          continue;
+        }
+
+        this.spend(output);
+      }
+
+      if (i > 0) {
+        for (const { prevout } of tx.inputs) {
+          this.add(view.getOutput(prevout));
+        }
+      }
+    }
+  }
+
   commit(hash) {
     assert(Buffer.isBuffer(hash));
     this.tip = hash;
@@ -158,7 +341,7 @@ class ChainState extends bio.Struct {
   }
 
   getSize() {
-    return 64;
+    return 68;
   }
 
   write(bw) {
@@ -167,6 +350,7 @@ class ChainState extends bio.Struct {
     bw.writeU64(this.coin);
     bw.writeU64(this.value);
     bw.writeU64(this.burned);
+    bw.writeU32(this.addresses);
     return bw;
   }
 
@@ -176,9 +360,836 @@ class ChainState extends bio.Struct {
     this.coin = br.readU64();
     this.value = br.readU64();
     this.burned = br.readU64();
+
+    //Left out before v17, the migration counts them.
+    if (br.left() > 0) this.addresses = br.readU32();
+
+    return this;
+  }
+}
+
+/**
+ * Spent Record
+ */
+
+class SpentRecord extends bio.Struct {
+  /**
+   * Create a spent record.
+   * @constructor
+   * @param {Hash} txid - Spending transaction.
+   * @param {Number} index - Input index in the spending transaction.
+   * @param {Number} height - Height the spend was confirmed at.
+   */
+
+  constructor(txid, index, height) {
+    super();
+    this.txid = txid || consensus.ZERO_HASH;
+    this.index = index || 0;
+    this.height = height || 0;
+  }
+
+  getSize() {
+    return 40;
+  }
+
+  write(bw) {
+    bw.writeHash(this.txid);
+    bw.writeU32(this.index);
+    bw.writeU32(this.height);
+    return bw;
+  }
+
+  read(br) {
+    this.txid = br.readHash();
+    this.index = br.readU32();
+    this.height = br.readU32();
     return this;
   }
+
+  getJSON() {
+    return {
+      txid: this.txid.toString("hex"),
+      index: this.index,
+      height: this.height
+    };
+  }
+}
+
+/**
+ * TX Record
+ */
+
+class TXRecord extends bio.Struct {
+  /**
+   * Create a tx record, where a transaction was confirmed.
+   * The txid is in the key.
+   * @constructor
+   * @param {Number} height
+   * @param {Number} index - Position of the transaction in its block.
+   */
+
+  constructor(height, index) {
+    super();
+    this.height = height || 0;
+    this.index = index || 0;
+  }
+
+  getSize() {
+    return 8;
+  }
+
+  write(bw) {
+    bw.writeU32(this.height);
+    bw.writeU32(this.index);
+    return bw;
+  }
+
+  read(br) {
+    this.height = br.readU32();
+    this.index = br.readU32();
+    return this;
+  }
+}
+
+/**
+ * Output Record
+ */
+
+class OutputRecord extends bio.Struct {
+  /**
+   * Create an output record.
+   * @constructor
+   * @param {Number} value - Output value.
+   * @param {Number} height - Height the output was confirmed at.
+   * @param {Number} type - Covenant type.
+   */
+
+  constructor(value, height, type) {
+    super();
+    this.value = value || 0;
+    this.height = height || 0;
+    this.type = type || 0;
+  }
+
+  getSize() {
+    return 13;
+  }
+
+  write(bw) {
+    bw.writeU64(this.value);
+    bw.writeU32(this.height);
+    bw.writeU8(this.type);
+    return bw;
+  }
+
+  read(br) {
+    this.value = br.readU64();
+    this.height = br.readU32();
+    this.type = br.readU8();
+    return this;
+  }
+}
+
+/**
+ * Unspent Record
+ */
+
+class UnspentRecord extends bio.Struct {
+  /**
+   * Create an unspent record.
+   * @constructor
+   * @param {Number} value - Output value.
+   * @param {Number} type - Covenant type.
+   * @param {Boolean} coinbase - Whether the output is from a coinbase.
+   */
+
+  constructor(value, type, coinbase) {
+    super();
+    this.value = value || 0;
+    this.type = type || 0;
+    this.coinbase = coinbase || false;
+  }
+
+  getSize() {
+    return 10;
+  }
+
+  write(bw) {
+    bw.writeU64(this.value);
+    bw.writeU8(this.type);
+    bw.writeU8(this.coinbase ? 1 : 0);
+    return bw;
+  }
+
+  read(br) {
+    this.value = br.readU64();
+    this.type = br.readU8();
+    this.coinbase = br.readU8() === 1;
+    return this;
+  }
+}
+
+/**
+ * Address Record
+ */
+
+class AddressRecord extends bio.Struct {
+  /**
+   * Create an address record.
+   * @constructor
+   */
+
+  constructor() {
+    super();
+    this.balance = 0;
+    this.received = 0;
+    this.sent = 0;
+    this.txs = 0;
+    this.firstSeen = 0;
+    this.lastSeen = 0;
+    this.utxos = 0;
+  }
+
+  /**
+   * Apply a connected block's activity.
+   * @param {Object} delta - {received, sent, txs, utxos}
+   * @param {Number} height
+   */
+
+  connect(delta, height) {
+    if (this.txs === 0) this.firstSeen = height;
+
+    this.balance += delta.received - delta.sent;
+    this.received += delta.received;
+    this.sent += delta.sent;
+    this.txs += delta.txs;
+    this.utxos += delta.utxos;
+    this.lastSeen = height;
+  }
+
+  /**
+   * Revert a disconnected block's activity.
+   * The caller is responsible for restoring `lastSeen`.
+   * @param {Object} delta - {received, sent, txs, utxos}
+   */
+
+  disconnect(delta) {
+    this.balance -= delta.received - delta.sent;
+    this.received -= delta.received;
+    this.sent -= delta.sent;
+    this.txs -= delta.txs;
+    this.utxos -= delta.utxos;
+  }
+
+  getSize() {
+    return 40;
+  }
+
+  write(bw) {
+    bw.writeU64(this.balance);
+    bw.writeU64(this.received);
+    bw.writeU64(this.sent);
+    bw.writeU32(this.txs);
+    bw.writeU32(this.firstSeen);
+    bw.writeU32(this.lastSeen);
+    bw.writeU32(this.utxos);
+    return bw;
+  }
+
+  read(br) {
+    this.balance = br.readU64();
+    this.received = br.readU64();
+    this.sent = br.readU64();
+    this.txs = br.readU32();
+    this.firstSeen = br.readU32();
+    this.lastSeen = br.readU32();
+
+    //Left out before v17, the migration counts them.
+    if (br.left() > 0) this.utxos = br.readU32();
+
+    return this;
+  }
+
+  getJSON() {
+    return {
+      balance: this.balance,
+      received: this.received,
+      sent: this.sent,
+      txs: this.txs,
+      firstSeen: this.firstSeen,
+      lastSeen: this.lastSeen
+    };
+  }
+}
+
+/**
+ * Address Undo
+ */
+
+class AddressUndo extends bio.Struct {
+  /**
+   * Create address undo data, where each address a block touched
+   * was last seen before it.
+   * @constructor
+   */
+
+  constructor() {
+    super();
+    //[{hash, lastSeen}]
+    this.items = [];
+  }
+
+  push(hash, lastSeen) {
+    this.items.push({ hash, lastSeen });
+  }
+
+  getSize() {
+    let size = 4;
+
+    for (const { hash } of this.items) size += 1 + hash.length + 4;
+
+    return size;
+  }
+
+  write(bw) {
+    bw.writeU32(this.items.length);
+
+    for (const { hash, lastSeen } of this.items) {
+      bw.writeU8(hash.length);
+      bw.writeBytes(hash);
+      bw.writeU32(lastSeen);
+    }
+
+    return bw;
+  }
+
+  read(br) {
+    const count = br.readU32();
+
+    for (let i = 0; i < count; i++) {
+      const hash = br.readBytes(br.readU8());
+      const lastSeen = br.readU32();
+
+      this.push(hash, lastSeen);
+    }
+
+    return this;
+  }
+}
+
+/**
+ * Bid Record
+ */
+
+class BidRecord extends bio.Struct {
+  /**
+   * Create a bid record, with the reveal that opened it if any.
+   * The name hash, auction start and bid outpoint are in the key.
+   * @constructor
+   */
+
+  constructor() {
+    super();
+    this.start = 0;
+    this.height = 0;
+    this.lockup = 0;
+    this.blind = consensus.ZERO_HASH;
+    this.address = new Address();
+
+    this.revealed = false;
+    this.revealHash = consensus.ZERO_HASH;
+    this.revealIndex = 0;
+    this.revealHeight = 0;
+    //Position of the reveal in its block, breaks ties between reveals.
+    this.revealPosition = 0;
+    this.value = 0;
+    this.nonce = consensus.ZERO_HASH;
+  }
+
+  /**
+   * Link the reveal of this bid.
+   * @param {Hash} hash - Reveal txid.
+   * @param {Number} index - Reveal output index.
+   * @param {Number} height
+   * @param {Number} position - TX position in the block.
+   * @param {Output} output
+   */
+
+  reveal(hash, index, height, position, output) {
+    this.revealed = true;
+    this.revealHash = hash;
+    this.revealIndex = index;
+    this.revealHeight = height;
+    this.revealPosition = position;
+    this.value = output.value;
+    this.nonce = output.covenant.getHash(2);
+  }
+
+  /**
+   * Unlink the reveal of this bid.
+   */
+
+  unreveal() {
+    this.revealed = false;
+    this.revealHash = consensus.ZERO_HASH;
+    this.revealIndex = 0;
+    this.revealHeight = 0;
+    this.revealPosition = 0;
+    this.value = 0;
+    this.nonce = consensus.ZERO_HASH;
+  }
+
+  getSize() {
+    let size = 45 + this.address.getSize();
+
+    if (this.revealed) size += 84;
+
+    return size;
+  }
+
+  write(bw) {
+    bw.writeU32(this.height);
+    bw.writeU64(this.lockup);
+    bw.writeHash(this.blind);
+    this.address.write(bw);
+    bw.writeU8(this.revealed ? 1 : 0);
+
+    if (this.revealed) {
+      bw.writeHash(this.revealHash);
+      bw.writeU32(this.revealIndex);
+      bw.writeU32(this.revealHeight);
+      bw.writeU32(this.revealPosition);
+      bw.writeU64(this.value);
+      bw.writeHash(this.nonce);
+    }
+
+    return bw;
+  }
+
+  read(br) {
+    this.height = br.readU32();
+    this.lockup = br.readU64();
+    this.blind = br.readHash();
+    this.address.read(br);
+    this.revealed = br.readU8() === 1;
+
+    if (this.revealed) {
+      this.revealHash = br.readHash();
+      this.revealIndex = br.readU32();
+      this.revealHeight = br.readU32();
+      this.revealPosition = br.readU32();
+      this.value = br.readU64();
+      this.nonce = br.readHash();
+    }
+
+    return this;
+  }
+
+  getJSON(network) {
+    return {
+      height: this.height,
+      address: this.address.toString(network),
+      lockup: this.lockup,
+      blind: this.blind.toString("hex"),
+      revealed: this.revealed,
+      reveal: this.revealed
+        ? {
+            txid: this.revealHash.toString("hex"),
+            index: this.revealIndex,
+            height: this.revealHeight,
+            value: this.value,
+            nonce: this.nonce.toString("hex")
+          }
+        : null
+    };
+  }
+}
+
+/**
+ * Owner Record
+ */
+
+class OwnerRecord extends bio.Struct {
+  /**
+   * Create an owner record, the output currently holding a name.
+   * The name hash is in the key.
+   * @constructor
+   * @param {Hash} txid
+   * @param {Number} index
+   * @param {Number} height - Height the owner output was confirmed at.
+   * @param {Address} address
+   */
+
+  constructor(txid, index, height, address) {
+    super();
+    this.txid = txid || consensus.ZERO_HASH;
+    this.index = index || 0;
+    this.height = height || 0;
+    this.address = address || new Address();
+  }
+
+  getSize() {
+    return 40 + this.address.getSize();
+  }
+
+  write(bw) {
+    bw.writeHash(this.txid);
+    bw.writeU32(this.index);
+    bw.writeU32(this.height);
+    this.address.write(bw);
+    return bw;
+  }
+
+  read(br) {
+    this.txid = br.readHash();
+    this.index = br.readU32();
+    this.height = br.readU32();
+    this.address.read(br);
+    return this;
+  }
+
+  getJSON(network) {
+    return {
+      txid: this.txid.toString("hex"),
+      index: this.index,
+      height: this.height,
+      address: this.address.toString(network)
+    };
+  }
+}
+
+/**
+ * Name Index Record
+ */
+
+//Kinds of names in the state index, each with its own
+//way to derive the state from the height.
+const nameKinds = {
+  AUCTION: 0,
+  CLAIM: 1,
+  REVOKED: 2
+};
+
+//Upcoming name events, by the transition they mark.
+const nameEvents = {
+  BIDDING: 0,
+  REVEAL: 1,
+  CLOSED: 2,
+  TRANSFER: 3,
+  EXPIRED: 4
+};
+
+const nameEventsByVal = Object.keys(nameEvents);
+
+class NameIndexRecord extends bio.Struct {
+  /**
+   * Create a name index record, where a name sits in the state index.
+   * @constructor
+   * @param {Number} kind - One of nameKinds.
+   * @param {Number} height - Auction start or claim height.
+   */
+
+  constructor(kind, height) {
+    super();
+    this.kind = kind || 0;
+    this.height = height || 0;
+    //Height the name expires at, if not renewed.
+    this.expires = 0;
+    this.registered = false;
+    //Height of a pending transfer.
+    this.transfer = 0;
+  }
+
+  clone() {
+    const record = new this.constructor(this.kind, this.height);
+    record.expires = this.expires;
+    record.registered = this.registered;
+    record.transfer = this.transfer;
+    return record;
+  }
+
+  /**
+   * Get the state transitions ahead of the name.
+   * @param {Network} network
+   * @returns {Object[]} - Returns [{height, type}].
+   */
+
+  getEvents(network) {
+    const {
+      treeInterval,
+      biddingPeriod,
+      revealPeriod,
+      lockupPeriod,
+      transferLockup
+    } = network.names;
+
+    const events = [];
+
+    if (this.kind === nameKinds.AUCTION) {
+      const bidding = this.height + treeInterval + 1;
+      const reveal = bidding + biddingPeriod;
+
+      events.push({ height: bidding, type: nameEvents.BIDDING });
+      events.push({ height: reveal, type: nameEvents.REVEAL });
+      events.push({ height: reveal + revealPeriod, type: nameEvents.CLOSED });
+    }
+
+    if (this.kind === nameKinds.CLAIM) {
+      const closed = this.height + lockupPeriod;
+      events.push({ height: closed, type: nameEvents.CLOSED });
+    }
+
+    if (this.transfer !== 0) {
+      const finalize = this.transfer + transferLockup;
+      events.push({ height: finalize, type: nameEvents.TRANSFER });
+    }
+
+    events.push({ height: this.expires, type: nameEvents.EXPIRED });
+
+    return events;
+  }
+
+  getSize() {
+    return 14;
+  }
+
+  write(bw) {
+    bw.writeU8(this.kind);
+    bw.writeU32(this.height);
+    bw.writeU32(this.expires);
+    bw.writeU8(this.registered ? 1 : 0);
+    bw.writeU32(this.transfer);
+    return bw;
+  }
+
+  read(br) {
+    this.kind = br.readU8();
+    this.height = br.readU32();
+    this.expires = br.readU32();
+    this.registered = br.readU8() === 1;
+    this.transfer = br.readU32();
+    return this;
+  }
+}
+
+/**
+ * Name Counts
+ */
+
+class NameCounts extends bio.Struct {
+  /**
+   * Create name counts, kept as names move in the state index.
+   * @constructor
+   */
+
+  constructor() {
+    super();
+    this.total = 0;
+    //Names of each kind, by nameKinds.
+    this.kinds = [0, 0, 0];
+    this.registered = 0;
+    this.expired = 0;
+    this.expiredRegistered = 0;
+  }
+
+  /**
+   * Count a name in the index at a height.
+   * @param {NameIndexRecord} record
+   * @param {Number} height
+   */
+
+  add(record, height) {
+    this.update(record, height, 1);
+  }
+
+  /**
+   * Stop counting a name in the index at a height.
+   * @param {NameIndexRecord} record
+   * @param {Number} height
+   */
+
+  remove(record, height) {
+    this.update(record, height, -1);
+  }
+
+  update(record, height, sign) {
+    this.total += sign;
+    this.kinds[record.kind] += sign;
+
+    if (record.registered) this.registered += sign;
+
+    if (record.expires <= height)
+      this.expire(sign, record.registered ? sign : 0);
+  }
+
+  /**
+   * Count names reaching their expiry.
+   * @param {Number} count
+   * @param {Number} registered
+   */
+
+  expire(count, registered) {
+    this.expired += count;
+    this.expiredRegistered += registered;
+  }
+
+  getSize() {
+    return 28;
+  }
+
+  write(bw) {
+    bw.writeU32(this.total);
+    for (const count of this.kinds) bw.writeU32(count);
+    bw.writeU32(this.registered);
+    bw.writeU32(this.expired);
+    bw.writeU32(this.expiredRegistered);
+    return bw;
+  }
+
+  read(br) {
+    this.total = br.readU32();
+    this.kinds = this.kinds.map(() => br.readU32());
+    this.registered = br.readU32();
+    this.expired = br.readU32();
+    this.expiredRegistered = br.readU32();
+    return this;
+  }
+}
+
+/**
+ * Name Undo
+ */
+
+class NameUndo extends bio.Struct {
+  /**
+   * Create name undo data, where each name a block moved in the
+   * state index was before it.
+   * @constructor
+   */
+
+  constructor() {
+    super();
+    //[{nameHash, record}], record is null for new names.
+    this.items = [];
+  }
+
+  push(nameHash, record) {
+    this.items.push({ nameHash, record });
+  }
+
+  getSize() {
+    return 4 + this.items.length * 47;
+  }
+
+  write(bw) {
+    bw.writeU32(this.items.length);
+
+    for (const { nameHash, record } of this.items) {
+      bw.writeHash(nameHash);
+      bw.writeU8(record ? 1 : 0);
+      (record || new NameIndexRecord()).write(bw);
+    }
+
+    return bw;
+  }
+
+  read(br) {
+    const count = br.readU32();
+
+    for (let i = 0; i < count; i++) {
+      const nameHash = br.readHash();
+      const exists = br.readU8() === 1;
+      const record = NameIndexRecord.read(br);
+
+      this.push(nameHash, exists ? record : null);
+    }
+
+    return this;
+  }
+}
+
+/**
+ * Watch Record
+ */
+
+//What a webhook watch follows.
+const watchTypes = {
+  ADDRESS: 0,
+  NAME: 1
+};
+
+const watchTypesByVal = ["address", "name"];
+
+class WatchRecord extends bio.Struct {
+  /**
+   * Create a watch record, an address or name that webhooks are
+   * sent for. The address or name hash is in the key.
+   * @constructor
+   * @param {Number} type
+   * @param {String} target - Address string or name.
+   * @param {Number} height - Height the watch was created at.
+   */
+
+  constructor(type, target, height) {
+    super();
+    this.type = type || 0;
+    this.target = target || "";
+    this.height = height || 0;
+    //Last notified state of a watched name.
+    this.state = "";
+  }
+
+  getSize() {
+    return (
+      5 +
+      bio.sizeVarString(this.target, "ascii") +
+      bio.sizeVarString(this.state, "ascii")
+    );
+  }
+
+  write(bw) {
+    bw.writeU8(this.type);
+    bw.writeVarString(this.target, "ascii");
+    bw.writeU32(this.height);
+    bw.writeVarString(this.state, "ascii");
+    return bw;
+  }
+
+  read(br) {
+    this.type = br.readU8();
+    this.target = br.readVarString("ascii");
+    this.height = br.readU32();
+    this.state = br.readVarString("ascii");
+    return this;
+  }
+
+  getJSON() {
+    return {
+      type: watchTypesByVal[this.type],
+      target: this.target,
+      height: this.height,
+      state: this.type === watchTypes.NAME ? this.state : undefined
+    };
+  }
 }
 
+module.exports.ChartPoint = ChartPoint;
 module.exports.ChartData = ChartData;
 module.exports.ChainState = ChainState;
+module.exports.SpentRecord = SpentRecord;
+module.exports.TXRecord = TXRecord;
+module.exports.OutputRecord = OutputRecord;
+module.exports.AddressRecord = AddressRecord;
+module.exports.AddressUndo = AddressUndo;
+module.exports.UnspentRecord = UnspentRecord;
+module.exports.BidRecord = BidRecord;
+module.exports.OwnerRecord = OwnerRecord;
+module.exports.NameIndexRecord = NameIndexRecord;
+module.exports.NameCounts = NameCounts;
+module.exports.NameUndo = NameUndo;
+module.exports.nameKinds = nameKinds;
+module.exports.nameEvents = nameEvents;
+module.exports.nameEventsByVal = nameEventsByVal;
+module.exports.WatchRecord = WatchRecord;
+module.exports.watchTypes = watchTypes;
+module.exports.watchTypesByVal = watchTypesByVal;
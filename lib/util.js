@@ -28,18 +28,27 @@ util.toU32 = function toU32(buf) {
   return num;
 };
 
+/**
+ * Split a uint64 into high and low uint32s, for sortable keys.
+ */
+util.splitU64 = function splitU64(num) {
+  return [Math.floor(num / 0x100000000), num % 0x100000000];
+};
+
+util.joinU64 = function joinU64(hi, lo) {
+  return hi * 0x100000000 + lo;
+};
+
 /**
  * Sorts transactions in ascending order.
  */
 util.sortTXs = function sortTXs(txs) {
-  //Not sure how we can do this exactly to ensure that things are sorted especially if they
-  // are the same block - XXX
-  // For now will sort just in block order.
+  //Sorted newest first, by height then position in the block.
   //Also let's pass in some parameters here as right now
   // We are going to default to descending.
 
   txs.sort(function(a, b) {
-    return b.height - a.height;
+    return b.height - a.height || b.index - a.index;
   });
 
   return txs;
@@ -0,0 +1,234 @@
+/*!
+ * webhooks.js - webhook deliveries for hnscan
+ * Copyright (c) 2018-2019, Handshake Alliance Developers (MIT License).
+ * https://github.com/handshakealliance/hnscan-backend
+ */
+
+"use strict";
+
+const assert = require("bsert");
+const http = require("http");
+const https = require("https");
+const { URL } = require("url");
+const Logger = require("blgr");
+const { Network } = require("hsd");
+const sha256 = require("bcrypto/lib/sha256");
+const random = require("bcrypto/lib/random");
+const util = require("./util");
+
+/**
+ * Webhooks
+ * Posts signed JSON payloads to a configured URL, retrying
+ * failed deliveries with exponential backoff.
+ * @alias module:hnscan.Webhooks
+ */
+
+class Webhooks {
+  /**
+   * Create webhooks.
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    this.options = new WebhooksOptions(options);
+
+    this.network = this.options.network;
+    this.logger = this.options.logger.context("hnscan-webhooks");
+    this.url = new URL(this.options.url);
+    this.secret = this.options.secret;
+
+    this.closed = false;
+    //Timers of deliveries waiting to retry.
+    this.timers = new Set();
+  }
+
+  /**
+   * Stop retrying deliveries.
+   */
+
+  close() {
+    this.closed = true;
+
+    for (const timer of this.timers) clearTimeout(timer);
+
+    this.timers.clear();
+  }
+
+  /**
+   * Queue a payload for delivery.
+   * @param {String} event
+   * @param {Object} data
+   */
+
+  send(event, data) {
+    const payload = {
+      id: random.randomBytes(16).toString("hex"),
+      event,
+      network: this.network.type,
+      time: util.now(),
+      data
+    };
+
+    this.deliver(payload, 1);
+  }
+
+  /**
+   * Deliver a payload, scheduling a retry if it fails.
+   * @private
+   * @param {Object} payload
+   * @param {Number} attempt
+   * @returns {Promise}
+   */
+
+  async deliver(payload, attempt) {
+    if (this.closed) return;
+
+    try {
+      await this.post(payload);
+
+      this.logger.info(
+        "Delivered webhook %s (%s) on attempt %d.",
+        payload.id,
+        payload.event,
+        attempt
+      );
+
+      return;
+    } catch (e) {
+      this.logger.warning(
+        "Webhook %s (%s) failed on attempt %d: %s.",
+        payload.id,
+        payload.event,
+        attempt,
+        e.message
+      );
+    }
+
+    if (attempt >= this.options.retries) {
+      this.logger.error(
+        "Giving up on webhook %s (%s) after %d attempts.",
+        payload.id,
+        payload.event,
+        attempt
+      );
+      return;
+    }
+
+    const delay = this.options.backoff * 2 ** (attempt - 1);
+
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      this.deliver(payload, attempt + 1);
+    }, delay);
+
+    this.timers.add(timer);
+  }
+
+  /**
+   * Post a payload, signed with an HMAC-SHA256 of the body.
+   * @private
+   * @param {Object} payload
+   * @returns {Promise}
+   */
+
+  post(payload) {
+    const body = Buffer.from(JSON.stringify(payload), "utf8");
+    const backend = this.url.protocol === "https:" ? https : http;
+
+    const signature = sha256.mac(body, this.secret).toString("hex");
+
+    const headers = {
+      "Content-Type": "application/json",
+      "Content-Length": body.length,
+      "X-Hnscan-Event": payload.event,
+      "X-Hnscan-Delivery": payload.id,
+      "X-Hnscan-Signature": `sha256=${signature}`
+    };
+
+    return new Promise((resolve, reject) => {
+      const req = backend.request(
+        this.url,
+        { method: "POST", headers, timeout: this.options.timeout },
+        res => {
+          res.resume();
+
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`Status code ${res.statusCode}`));
+            return;
+          }
+
+          resolve();
+        }
+      );
+
+      req.on("timeout", () => req.destroy(new Error("Request timed out")));
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+}
+
+class WebhooksOptions {
+  /**
+   * Create webhooks options.
+   * @constructor
+   * @param {Object} options
+   */
+
+  constructor(options) {
+    this.network = Network.primary;
+    this.logger = Logger.global;
+    this.url = null;
+    this.secret = null;
+    this.retries = 5;
+    this.backoff = 1000;
+    this.timeout = 10000;
+
+    this._fromOptions(options);
+  }
+
+  _fromOptions(options) {
+    assert(options, "Webhooks require options.");
+
+    if (options.network != null) this.network = Network.get(options.network);
+
+    if (options.logger != null) {
+      assert(typeof options.logger === "object");
+      this.logger = options.logger;
+    }
+
+    assert(typeof options.url === "string", "Webhooks require a URL.");
+    this.url = options.url;
+
+    assert(
+      typeof options.secret === "string" && options.secret.length > 0,
+      "Webhooks require a secret."
+    );
+    this.secret = Buffer.from(options.secret, "utf8");
+
+    if (options.retries != null) {
+      assert(options.retries >>> 0 === options.retries);
+      assert(options.retries > 0);
+      this.retries = options.retries;
+    }
+
+    if (options.backoff != null) {
+      assert(options.backoff >>> 0 === options.backoff);
+      this.backoff = options.backoff;
+    }
+
+    if (options.timeout != null) {
+      assert(options.timeout >>> 0 === options.timeout);
+      this.timeout = options.timeout;
+    }
+
+    return this;
+  }
+}
+
+/*
+ * Expose
+ */
+
+module.exports = Webhooks;
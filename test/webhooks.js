@@ -0,0 +1,97 @@
+/*!
+ * webhooks.js - webhook delivery check for hnscan
+ * Copyright (c) 2018-2019, Handshake Alliance Developers (MIT License).
+ * https://github.com/handshakealliance/hnscan-backend
+ *
+ * Posts a webhook to a local receiver that fails the first attempt,
+ * and checks the signature and that the retry follows.
+ */
+
+"use strict";
+
+const assert = require("assert");
+const http = require("http");
+const crypto = require("crypto");
+const Logger = require("blgr");
+const Webhooks = require("../lib/webhooks");
+
+const SECRET = "hnscan-test-secret";
+
+async function main() {
+  const attempts = [];
+  let done;
+
+  const finished = new Promise(resolve => (done = resolve));
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on("data", chunk => chunks.push(chunk));
+    req.on("end", () => {
+      attempts.push({ headers: req.headers, body: Buffer.concat(chunks) });
+
+      //Fail the first attempt so the delivery is retried.
+      res.statusCode = attempts.length === 1 ? 500 : 200;
+      res.end();
+
+      if (attempts.length === 2) done();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+
+  const { port } = server.address();
+
+  const webhooks = new Webhooks({
+    network: "regtest",
+    logger: new Logger("none"),
+    url: `http://127.0.0.1:${port}/hook`,
+    secret: SECRET,
+    retries: 3,
+    backoff: 50
+  });
+
+  const start = Date.now();
+
+  webhooks.send("name", { name: "example" });
+
+  await finished;
+
+  webhooks.close();
+  server.close();
+
+  assert.strictEqual(attempts.length, 2);
+  assert(Date.now() - start >= 50, "Retry did not back off.");
+
+  for (const { headers, body } of attempts) {
+    const hmac = crypto.createHmac("sha256", SECRET).update(body);
+
+    assert.strictEqual(
+      headers["x-hnscan-signature"],
+      `sha256=${hmac.digest("hex")}`
+    );
+    assert.strictEqual(headers["x-hnscan-event"], "name");
+    assert.strictEqual(headers["content-type"], "application/json");
+
+    const payload = JSON.parse(body.toString("utf8"));
+
+    assert.strictEqual(payload.id, headers["x-hnscan-delivery"]);
+    assert.strictEqual(payload.network, "regtest");
+    assert.deepStrictEqual(payload.data, { name: "example" });
+  }
+
+  //The retry delivers the same payload.
+  assert(attempts[0].body.equals(attempts[1].body));
+
+  assert.throws(
+    () => new Webhooks({ url: `http://127.0.0.1:${port}/hook` }),
+    /Webhooks require a secret/
+  );
+
+  console.log("Webhook delivery, signature and retry OK.");
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});